@@ -0,0 +1,81 @@
+/**
+ * Admin Authentication
+ * Koa middleware protecting the admin router with either a bearer token
+ * (ADMIN_TOKEN) or HTTP basic auth (ADMIN_USER / ADMIN_PASSWORD). When no
+ * credentials are configured the admin routes stay locked.
+ */
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Identify the caller from the Authorization header
+ * @param {string} header - Authorization header value
+ * @param {{token?: string, user?: string, password?: string}} credentials - Configured credentials
+ * @returns {string|null} Principal name for audit logs, or null if not authenticated
+ */
+function authenticate(header, credentials) {
+    const [scheme, value] = (header || '').split(' ');
+
+    if (scheme === 'Bearer' && credentials.token && value && safeEqual(value, credentials.token)) {
+        return 'token';
+    }
+
+    if (scheme === 'Basic' && credentials.user && credentials.password && value) {
+        const decoded = Buffer.from(value, 'base64').toString('utf8');
+        const separator = decoded.indexOf(':');
+        const user = decoded.slice(0, separator);
+        const password = decoded.slice(separator + 1);
+
+        // Evaluate both comparisons so timing does not reveal which one failed
+        const userOk = safeEqual(user, credentials.user);
+        const passwordOk = safeEqual(password, credentials.password);
+        if (separator > 0 && userOk && passwordOk) {
+            return `user:${user}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Create the admin authentication middleware
+ * Sets `ctx.state.admin` to the authenticated principal.
+ * @param {{token?: string, user?: string, password?: string}} credentials - Configured credentials
+ * @returns {Function} Koa middleware
+ */
+function adminAuth(credentials) {
+    const enabled = Boolean(credentials.token || (credentials.user && credentials.password));
+
+    return async (ctx, next) => {
+        if (!enabled) {
+            throw new ApiError(403, 'ADMIN_DISABLED', 'Admin routes are disabled until ADMIN_TOKEN or ADMIN_USER/ADMIN_PASSWORD is set');
+        }
+
+        const principal = authenticate(ctx.get('Authorization'), credentials);
+        if (!principal) {
+            if (credentials.user) {
+                ctx.set('WWW-Authenticate', 'Basic realm="admin"');
+            }
+            throw new ApiError(401, 'UNAUTHORIZED', 'Admin credentials are missing or invalid');
+        }
+
+        ctx.state.admin = principal;
+        await next();
+    };
+}
+
+module.exports = {
+    adminAuth
+};
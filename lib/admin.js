@@ -0,0 +1,133 @@
+/**
+ * Admin Router
+ * Cache and candle store management, behind admin authentication. Every
+ * destructive action is written to an audit log (JSON lines).
+ */
+const fs = require('fs');
+const path = require('path');
+const Router = require('@koa/router');
+const CandleStore = require('./candle-store');
+const { ApiError } = require('./errors');
+const { adminAuth } = require('./admin-auth');
+const { logger } = require('./logger');
+
+/**
+ * Convert a glob pattern (`*` and `?` wildcards) into a regular expression
+ * @param {string} pattern - Pattern such as "binance:BTC*"
+ * @returns {RegExp} Anchored regular expression
+ */
+function globToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+/**
+ * Create the admin router
+ * @param {Object} deps - Dependencies
+ * @param {import('node-cache')} deps.cache - In-memory cache
+ * @param {CandleStore} deps.candleStore - Persistent candle store
+ * @param {import('./stream-hub')} deps.streamHub - Live stream hub
+ * @param {{token?: string, user?: string, password?: string}} deps.credentials - Admin credentials
+ * @param {string} deps.auditLogPath - File to append audit entries to
+ * @returns {Router} Router mounted under /api/cache
+ */
+function createAdminRouter({ cache, candleStore, streamHub, credentials, auditLogPath }) {
+    const router = new Router({ prefix: '/api/cache' });
+
+    /**
+     * Record an admin action
+     * @param {Object} ctx - Koa context
+     * @param {string} action - Action name
+     * @param {Object} details - What was affected
+     */
+    function audit(ctx, action, details) {
+        const entry = {
+            time: new Date().toISOString(),
+            principal: ctx.state.admin,
+            ip: ctx.ip,
+            action,
+            ...details
+        };
+
+        logger.info('audit', entry);
+
+        try {
+            fs.mkdirSync(path.dirname(auditLogPath), { recursive: true });
+            fs.appendFileSync(auditLogPath, JSON.stringify(entry) + '\n');
+        } catch (error) {
+            logger.error('Could not write audit log', { error });
+        }
+    }
+
+    router.use(adminAuth(credentials));
+
+    router.get('/stats', (ctx) => {
+        ctx.body = {
+            keys: cache.keys(),
+            stats: cache.getStats(),
+            store: candleStore.getStats(),
+            streams: streamHub.getStats()
+        };
+    });
+
+    // Clears everything, or only what one of these selects:
+    //   ?key=open:binance:BTCUSDT-1h   a single in-memory cache key
+    //   ?series=binance:BTCUSDT-1h     a stored series and its cached entries
+    //   ?pattern=binance:BTC*          cache keys and stored series matching a glob
+    router.post('/clear', (ctx) => {
+        const { key, series, pattern } = ctx.query;
+
+        if (key) {
+            const removed = cache.del(key);
+            audit(ctx, 'clear-key', { key, cacheKeys: removed });
+            ctx.body = { success: true, message: `Key ${key} ${removed ? 'cleared' : 'not found'}`, cacheKeys: removed };
+            return;
+        }
+
+        if (series) {
+            const parsed = CandleStore.parseKey(series);
+            if (!parsed) {
+                throw new ApiError(400, 'INVALID_SERIES', 'series must look like exchange:SYMBOL-interval', 'series');
+            }
+
+            candleStore.clear(parsed);
+            const removed = cache.del(cache.keys().filter(cacheKey => cacheKey.includes(series)));
+            audit(ctx, 'clear-series', { series, cacheKeys: removed });
+            ctx.body = { success: true, message: `Series ${series} cleared`, cacheKeys: removed, series: [series] };
+            return;
+        }
+
+        if (pattern) {
+            const regExp = globToRegExp(pattern);
+
+            // Cache keys carry prefixes such as "open:" or "stale:", so match anywhere after them
+            const keys = cache.keys().filter(cacheKey => regExp.test(cacheKey.replace(/^(stale:)?(open:)?/, '')));
+            const removed = cache.del(keys);
+
+            const matchedSeries = candleStore.listSeries().filter(item => regExp.test(CandleStore.keyOf(item)));
+            matchedSeries.forEach(item => candleStore.clear(item));
+
+            const seriesKeys = matchedSeries.map(item => CandleStore.keyOf(item));
+            audit(ctx, 'clear-pattern', { pattern, cacheKeys: removed, series: seriesKeys });
+            ctx.body = {
+                success: true,
+                message: `Cleared ${removed} cache keys and ${seriesKeys.length} stored series matching ${pattern}`,
+                cacheKeys: removed,
+                series: seriesKeys
+            };
+            return;
+        }
+
+        const removed = cache.keys().length;
+        cache.flushAll();
+        const seriesCleared = candleStore.clear();
+        audit(ctx, 'clear-all', { cacheKeys: removed, seriesCount: seriesCleared });
+        ctx.body = { success: true, message: `Cache cleared (${seriesCleared} stored series removed)`, cacheKeys: removed };
+    });
+
+    return router;
+}
+
+module.exports = {
+    createAdminRouter
+};
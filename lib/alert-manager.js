@@ -0,0 +1,387 @@
+/**
+ * Alert Manager
+ * Keeps price alerts, evaluates them against live candle updates and
+ * delivers their triggers to webhooks.
+ *
+ * Alerts are persisted in `<dir>/alerts.json`, including when each one last
+ * triggered, so cooldowns survive restarts. Every trigger and test delivery is
+ * appended to `<dir>/history.ndjson` (JSON lines) with its delivery outcome.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+const { ALERT_TYPES } = require('./alert-rules');
+const { INTERVAL_MS } = require('./candles');
+const { sendWebhook } = require('./webhooks');
+const { logger } = require('./logger');
+
+// History entries kept in memory for the history route
+const HISTORY_LIMIT = 1000;
+
+/**
+ * @typedef {Object} Alert
+ * @property {string} id - Alert id
+ * @property {string} name - Display name
+ * @property {string} exchange - Exchange adapter id
+ * @property {string} symbol - Symbol or symbol expression
+ * @property {string} interval - Native interval whose stream is watched
+ * @property {string} type - Key of ALERT_TYPES
+ * @property {Object} params - Validated type parameters
+ * @property {string} webhook - URL triggers are POSTed to
+ * @property {number} cooldown - Seconds after a trigger during which the alert stays quiet
+ * @property {boolean} enabled - Whether the alert is evaluated
+ * @property {string} createdAt - ISO time
+ * @property {string} updatedAt - ISO time
+ * @property {string|null} lastTriggeredAt - ISO time of the last delivered or attempted trigger
+ * @property {number} triggerCount - Triggers so far
+ */
+
+class AlertManager {
+    /**
+     * Create an alert manager
+     * @param {Object} deps - Dependencies
+     * @param {string} deps.dir - Directory for the alerts and history files
+     * @param {function(Alert, function(import('./candles').Candle): void): function(): void} deps.subscribe -
+     *        Subscribes to live candles of an alert's series and returns an unsubscribe function
+     * @param {function(Alert, number): Promise<import('./candles').Candle[]>} deps.loadCandles -
+     *        Loads the latest candles of an alert's series
+     * @param {function(string, Object): Promise<import('./webhooks').DeliveryResult>} [deps.deliver] - Webhook sender
+     */
+    constructor({ dir, subscribe, loadCandles, deliver = sendWebhook }) {
+        this.dir = dir;
+        this.subscribe = subscribe;
+        this.loadCandles = loadCandles;
+        this.deliver = deliver;
+
+        /** @type {Map<string, Alert>} Alerts by id */
+        this.alerts = new Map();
+
+        /** @type {Map<string, {unsubscribe: (function(): void)|null, error: string|null}>} Running alerts by id */
+        this.running = new Map();
+
+        /** @type {Object[]} Recent history entries, oldest first */
+        this.history = [];
+    }
+
+    /**
+     * Get file paths
+     * @returns {{alerts: string, history: string}} File paths
+     * @private
+     */
+    _paths() {
+        return {
+            alerts: path.join(this.dir, 'alerts.json'),
+            history: path.join(this.dir, 'history.ndjson')
+        };
+    }
+
+    /**
+     * Load persisted alerts and history, and start every enabled alert
+     */
+    load() {
+        const paths = this._paths();
+
+        if (fs.existsSync(paths.alerts)) {
+            for (const alert of JSON.parse(fs.readFileSync(paths.alerts, 'utf8'))) {
+                this.alerts.set(alert.id, alert);
+            }
+        }
+
+        if (fs.existsSync(paths.history)) {
+            const lines = fs.readFileSync(paths.history, 'utf8').split('\n').filter(Boolean);
+            this.history = lines.slice(-HISTORY_LIMIT).map(line => JSON.parse(line));
+        }
+
+        for (const alert of this.alerts.values()) {
+            if (alert.enabled) this._start(alert);
+        }
+    }
+
+    /**
+     * Write all alerts to disk, replacing the file atomically
+     * @private
+     */
+    _save() {
+        const file = this._paths().alerts;
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify([...this.alerts.values()], null, 2));
+        fs.renameSync(`${file}.tmp`, file);
+    }
+
+    /**
+     * Append an entry to the history
+     * @param {Object} entry - History entry
+     * @private
+     */
+    _record(entry) {
+        this.history.push(entry);
+        if (this.history.length > HISTORY_LIMIT) this.history.shift();
+
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+            fs.appendFileSync(this._paths().history, JSON.stringify(entry) + '\n');
+        } catch (error) {
+            logger.error('Could not write alert history', { error });
+        }
+    }
+
+    /**
+     * Describe an alert with its runtime status
+     * @param {Alert} alert - Alert
+     * @returns {Object} Alert with `status` ("active", "disabled" or "error") and `error`
+     * @private
+     */
+    _describe(alert) {
+        const running = this.running.get(alert.id);
+        const error = running ? running.error : null;
+        return {
+            ...alert,
+            status: !alert.enabled ? 'disabled' : (error ? 'error' : 'active'),
+            error
+        };
+    }
+
+    /**
+     * List all alerts
+     * @returns {Object[]} Alerts with their status, oldest first
+     */
+    list() {
+        return [...this.alerts.values()].map(alert => this._describe(alert));
+    }
+
+    /**
+     * Get one alert
+     * @param {string} id - Alert id
+     * @returns {Object} Alert with its status
+     * @throws {ApiError} 404 if there is no such alert
+     */
+    get(id) {
+        return this._describe(this._find(id));
+    }
+
+    /**
+     * Find an alert by id
+     * @param {string} id - Alert id
+     * @returns {Alert} Alert
+     * @throws {ApiError} 404 if there is no such alert
+     * @private
+     */
+    _find(id) {
+        const alert = this.alerts.get(id);
+        if (!alert) {
+            throw new ApiError(404, 'ALERT_NOT_FOUND', `Alert ${id} does not exist`);
+        }
+        return alert;
+    }
+
+    /**
+     * Create an alert
+     * @param {Object} spec - Validated alert fields (see validateAlert)
+     * @returns {Object} Created alert with its status
+     */
+    create(spec) {
+        const now = new Date().toISOString();
+        const alert = {
+            id: crypto.randomUUID(),
+            ...spec,
+            createdAt: now,
+            updatedAt: now,
+            lastTriggeredAt: null,
+            triggerCount: 0
+        };
+
+        this.alerts.set(alert.id, alert);
+        this._save();
+        if (alert.enabled) this._start(alert);
+
+        return this._describe(alert);
+    }
+
+    /**
+     * Replace the fields of an alert and restart its evaluation
+     * @param {string} id - Alert id
+     * @param {Object} spec - Validated alert fields (see validateAlert)
+     * @returns {Object} Updated alert with its status
+     * @throws {ApiError} 404 if there is no such alert
+     */
+    update(id, spec) {
+        const alert = { ...this._find(id), ...spec, updatedAt: new Date().toISOString() };
+
+        this._stop(id);
+        this.alerts.set(id, alert);
+        this._save();
+        if (alert.enabled) this._start(alert);
+
+        return this._describe(alert);
+    }
+
+    /**
+     * Delete an alert; its history is kept
+     * @param {string} id - Alert id
+     * @throws {ApiError} 404 if there is no such alert
+     */
+    remove(id) {
+        this._find(id);
+        this._stop(id);
+        this.alerts.delete(id);
+        this._save();
+    }
+
+    /**
+     * Get recent history entries
+     * @param {{alertId?: string, limit?: number}} [filter] - Only entries of one alert, at most `limit` of them
+     * @returns {Object[]} Entries, newest first
+     */
+    getHistory({ alertId, limit = 100 } = {}) {
+        return this.history
+            .filter(entry => !alertId || entry.alertId === alertId)
+            .slice(-limit)
+            .reverse();
+    }
+
+    /**
+     * Send a test delivery to an alert's webhook
+     * Recorded in the history, but does not count as a trigger or start the cooldown.
+     * @param {string} id - Alert id
+     * @returns {Promise<Object>} History entry with the delivery outcome
+     * @throws {ApiError} 404 if there is no such alert
+     */
+    async test(id) {
+        const alert = this._find(id);
+        return this._fire(alert, { price: null, direction: null, message: 'test delivery' }, true);
+    }
+
+    /**
+     * Start evaluating an alert: seed it with recent candles, then follow its stream
+     * @param {Alert} alert - Enabled alert
+     * @private
+     */
+    _start(alert) {
+        const type = ALERT_TYPES[alert.type];
+        const evaluator = type.createEvaluator(alert.params);
+        const running = { unsubscribe: null, error: null };
+        this.running.set(alert.id, running);
+
+        const count = type.historyCandles(alert.params, INTERVAL_MS[alert.interval]);
+
+        this.loadCandles(alert, count)
+            .then(candles => evaluator.seed(candles))
+            .catch(error => logger.error('Could not load alert history candles', { alertId: alert.id, error }))
+            .then(() => {
+                // Stopped or replaced while the history was loading
+                if (this.running.get(alert.id) !== running) return;
+
+                running.unsubscribe = this.subscribe(alert, (candle) => {
+                    const trigger = evaluator.update(candle, Date.now());
+                    if (trigger) this._handleTrigger(alert.id, trigger);
+                });
+            })
+            .catch(error => {
+                running.error = error.message;
+                logger.error('Could not start alert', { alertId: alert.id, error });
+            });
+    }
+
+    /**
+     * Stop evaluating an alert
+     * @param {string} id - Alert id
+     * @private
+     */
+    _stop(id) {
+        const running = this.running.get(id);
+        if (!running) return;
+
+        if (running.unsubscribe) running.unsubscribe();
+        this.running.delete(id);
+    }
+
+    /**
+     * Stop evaluating every alert
+     */
+    stopAll() {
+        for (const id of [...this.running.keys()]) {
+            this._stop(id);
+        }
+    }
+
+    /**
+     * Deliver a trigger unless the alert is cooling down
+     * @param {string} id - Alert id
+     * @param {import('./alert-rules').Trigger} trigger - Met condition
+     * @private
+     */
+    _handleTrigger(id, trigger) {
+        const alert = this.alerts.get(id);
+        if (!alert) return;
+
+        const now = Date.now();
+        if (alert.lastTriggeredAt && now - Date.parse(alert.lastTriggeredAt) < alert.cooldown * 1000) {
+            return;
+        }
+
+        alert.lastTriggeredAt = new Date(now).toISOString();
+        alert.triggerCount++;
+        this._save();
+
+        this._fire(alert, trigger, false)
+            .catch(error => logger.error('Could not deliver alert', { alertId: id, error }));
+    }
+
+    /**
+     * POST a trigger to the alert's webhook and record the outcome
+     * @param {Alert} alert - Alert
+     * @param {import('./alert-rules').Trigger} trigger - Met condition
+     * @param {boolean} isTest - Whether this is a test delivery
+     * @returns {Promise<Object>} History entry
+     * @private
+     */
+    async _fire(alert, trigger, isTest) {
+        const time = new Date().toISOString();
+        const message = `${alert.symbol} ${trigger.message}`;
+
+        const payload = {
+            event: isTest ? 'alert.test' : 'alert.triggered',
+            time,
+            message,
+            alert: {
+                id: alert.id,
+                name: alert.name,
+                exchange: alert.exchange,
+                symbol: alert.symbol,
+                interval: alert.interval,
+                type: alert.type,
+                params: alert.params
+            },
+            trigger
+        };
+
+        const delivery = await this.deliver(alert.webhook, payload);
+        if (!delivery.delivered) {
+            logger.error('Alert webhook delivery failed', {
+                alertId: alert.id,
+                attempts: delivery.attempts,
+                status: delivery.status,
+                error: delivery.error
+            });
+        }
+
+        const entry = {
+            id: crypto.randomUUID(),
+            alertId: alert.id,
+            name: alert.name,
+            time,
+            test: isTest,
+            symbol: alert.symbol,
+            type: alert.type,
+            price: trigger.price,
+            direction: trigger.direction,
+            message,
+            delivery
+        };
+        this._record(entry);
+        return entry;
+    }
+}
+
+module.exports = AlertManager;
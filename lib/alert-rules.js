@@ -0,0 +1,208 @@
+/**
+ * Alert rules
+ * Each alert type has a parameter schema and an evaluator factory. An
+ * evaluator is seeded with recent candles of the alert's series, then sees
+ * every live update of the open candle and returns a trigger when its
+ * condition is met. Conditions re-arm by themselves: a level must be crossed
+ * again, a move measured afresh, the band re-entered.
+ */
+
+/**
+ * @typedef {Object} Trigger
+ * @property {number} price - Price that met the condition
+ * @property {string} direction - "up" or "down"
+ * @property {string} message - What happened, without the symbol (e.g. "crossed 70,000 upward")
+ */
+
+/**
+ * @typedef {Object} Evaluator
+ * @property {function(import('./candles').Candle[]): void} seed - Load recent candles, oldest first
+ * @property {function(import('./candles').Candle, number): (Trigger|null)} update - Check a candle update received at a time
+ */
+
+// A move window keeps the low and high price of each of this many slots, so its
+// memory stays bounded however often the stream ticks
+const MOVE_WINDOW_SLOTS = 100;
+
+/**
+ * Format a number for alert messages
+ * @param {number} value - Value
+ * @returns {string} Value with thousands separators and up to 8 decimals
+ */
+function formatNumber(value) {
+    return value.toLocaleString('en-US', { maximumFractionDigits: 8 });
+}
+
+/**
+ * Alert types, keyed by the `type` of an alert
+ * Parameter specs: numbers have min/max (and `integer`), choices have `values`,
+ * durations are a count and m, h or d (e.g. "1h") and validate to milliseconds.
+ * Specs without a default are required. `historyCandles` tells how many recent
+ * candles of the alert's interval the evaluator wants as seed.
+ */
+const ALERT_TYPES = {
+    cross: {
+        description: 'Price crosses a level',
+        params: {
+            price: { min: 0, max: 1e12 },
+            direction: { values: ['any', 'up', 'down'], default: 'any' }
+        },
+        historyCandles: () => 1,
+        createEvaluator({ price: level, direction }) {
+            let last = null;
+
+            return {
+                seed(candles) {
+                    if (candles.length > 0) last = candles[candles.length - 1].close;
+                },
+                update(candle) {
+                    const previous = last;
+                    last = candle.close;
+                    if (previous === null) return null;
+
+                    const up = previous < level && candle.close >= level;
+                    const down = previous > level && candle.close <= level;
+                    if ((up && direction !== 'down') || (down && direction !== 'up')) {
+                        return {
+                            price: candle.close,
+                            direction: up ? 'up' : 'down',
+                            message: `crossed ${formatNumber(level)} ${up ? 'upward' : 'downward'}`
+                        };
+                    }
+                    return null;
+                }
+            };
+        }
+    },
+
+    move: {
+        description: 'Price moves by a percentage within a time window',
+        params: {
+            percent: { min: 0.01, max: 1000 },
+            window: { duration: true, default: '1h' },
+            direction: { values: ['any', 'up', 'down'], default: 'any' }
+        },
+        historyCandles: ({ window }, intervalMs) => Math.ceil(window / intervalMs) + 1,
+        createEvaluator({ percent, window, direction }) {
+            // A slot overlapping the start of the window still counts, so the window is up to 1% longer
+            const slotMs = Math.max(1, Math.floor(window / MOVE_WINDOW_SLOTS));
+
+            /** @type {Array<{slot: number, low: number, high: number}>} Price range of each slot within the window, oldest first */
+            let slots = [];
+
+            const add = (time, price) => {
+                const slot = Math.floor(time / slotMs);
+                const last = slots[slots.length - 1];
+                if (last && last.slot >= slot) {
+                    last.low = Math.min(last.low, price);
+                    last.high = Math.max(last.high, price);
+                } else {
+                    slots.push({ slot, low: price, high: price });
+                }
+            };
+
+            return {
+                seed(candles) {
+                    slots = [];
+                    candles.forEach(candle => add(Math.min(candle.closeTime, Date.now()), candle.close));
+                },
+                update(candle, now) {
+                    const price = candle.close;
+                    const firstSlot = Math.floor((now - window) / slotMs);
+                    while (slots.length > 0 && slots[0].slot < firstSlot) slots.shift();
+                    if (slots.length === 0) {
+                        add(now, price);
+                        return null;
+                    }
+
+                    let low = Infinity;
+                    let high = -Infinity;
+                    for (const slot of slots) {
+                        low = Math.min(low, slot.low);
+                        high = Math.max(high, slot.high);
+                    }
+                    add(now, price);
+
+                    const rise = (price - low) / low * 100;
+                    const fall = (high - price) / high * 100;
+                    const up = rise >= percent && direction !== 'down';
+                    const down = fall >= percent && direction !== 'up';
+                    if (!up && !down) return null;
+
+                    // Measure the next move from here, so one move triggers once
+                    slots = [];
+                    add(now, price);
+
+                    const change = up ? rise : -fall;
+                    return {
+                        price,
+                        direction: up ? 'up' : 'down',
+                        message: `moved ${change > 0 ? '+' : ''}${change.toFixed(2)}% within ${Math.round(window / 60000)}m`
+                    };
+                }
+            };
+        }
+    },
+
+    band: {
+        description: 'Price leaves the band around the middle line (midpoint of the highest and lowest close)',
+        params: {
+            width: { min: 0.01, max: 100, default: 2 },
+            lookback: { min: 2, max: 1000, integer: true, default: 168 }
+        },
+        historyCandles: ({ lookback }) => lookback,
+        createEvaluator({ width, lookback }) {
+            /** @type {Map<number, number>} Close of each recent candle, by open time */
+            const closes = new Map();
+            let inside = null;
+
+            const bandAt = (price) => {
+                let low = Infinity;
+                let high = -Infinity;
+                for (const close of closes.values()) {
+                    low = Math.min(low, close);
+                    high = Math.max(high, close);
+                }
+                const middle = (high + low) / 2;
+                const half = middle * width / 100;
+                return { middle, position: price > middle + half ? 'above' : (price < middle - half ? 'below' : 'inside') };
+            };
+
+            const add = (candle) => {
+                closes.set(candle.timestamp, candle.close);
+                if (closes.size > lookback) {
+                    let oldest = Infinity;
+                    for (const time of closes.keys()) oldest = Math.min(oldest, time);
+                    closes.delete(oldest);
+                }
+            };
+
+            return {
+                seed(candles) {
+                    candles.forEach(add);
+                    if (candles.length > 0) {
+                        inside = bandAt(candles[candles.length - 1].close).position === 'inside';
+                    }
+                },
+                update(candle) {
+                    add(candle);
+                    const { middle, position } = bandAt(candle.close);
+
+                    const wasInside = inside;
+                    inside = position === 'inside';
+                    if (wasInside !== true || inside) return null;
+
+                    return {
+                        price: candle.close,
+                        direction: position === 'above' ? 'up' : 'down',
+                        message: `left the ±${width}% band ${position} the middle line at ${formatNumber(middle)}`
+                    };
+                }
+            };
+        }
+    }
+};
+
+module.exports = {
+    ALERT_TYPES
+};
@@ -0,0 +1,112 @@
+/**
+ * Alerts Router
+ * CRUD for price alerts, their trigger history and test deliveries, behind
+ * admin authentication (alerts make the server call arbitrary webhook URLs).
+ *
+ *   GET    /api/v1/alerts               list alerts with their status
+ *   POST   /api/v1/alerts               create an alert
+ *   GET    /api/v1/alerts/types         list alert types and their parameters
+ *   GET    /api/v1/alerts/history       recent triggers (?alertId=&limit=)
+ *   GET    /api/v1/alerts/:id           one alert
+ *   PATCH  /api/v1/alerts/:id           change some fields of an alert
+ *   DELETE /api/v1/alerts/:id           delete an alert
+ *   POST   /api/v1/alerts/:id/test      send a test delivery to the webhook
+ */
+const Router = require('@koa/router');
+const bodyParser = require('koa-bodyparser');
+const { ApiError } = require('./errors');
+const { adminAuth } = require('./admin-auth');
+const { ALERT_TYPES } = require('./alert-rules');
+const { validateAlert } = require('./validation');
+
+// Alert fields a PATCH may change
+const EDITABLE_FIELDS = ['name', 'exchange', 'symbol', 'interval', 'type', 'params', 'webhook', 'cooldown', 'enabled'];
+
+const MAX_HISTORY_ENTRIES = 1000;
+
+/**
+ * Create the alerts router
+ * @param {Object} deps - Dependencies
+ * @param {import('./alert-manager')} deps.alertManager - Alert manager
+ * @param {import('./symbols')} deps.symbolDirectory - Directory used to check symbols exist
+ * @param {{token?: string, user?: string, password?: string}} deps.credentials - Admin credentials
+ * @returns {Router} Router mounted under /api/v1/alerts
+ */
+function createAlertsRouter({ alertManager, symbolDirectory, credentials }) {
+    const router = new Router({ prefix: '/api/v1/alerts' });
+
+    router.use(adminAuth(credentials));
+    router.use(bodyParser({
+        enableTypes: ['json'],
+        onerror() {
+            throw new ApiError(400, 'INVALID_BODY', 'Request body must be valid JSON');
+        }
+    }));
+
+    router.get('/', (ctx) => {
+        ctx.body = alertManager.list();
+    });
+
+    router.post('/', async (ctx) => {
+        const spec = await validateAlert(ctx.request.body, symbolDirectory);
+        ctx.status = 201;
+        ctx.body = alertManager.create(spec);
+    });
+
+    router.get('/types', (ctx) => {
+        ctx.body = Object.entries(ALERT_TYPES).map(([id, { description, params }]) => ({ id, description, params }));
+    });
+
+    router.get('/history', (ctx) => {
+        let limit = 100;
+        if (ctx.query.limit !== undefined) {
+            limit = /^\d+$/.test(ctx.query.limit) ? parseInt(ctx.query.limit, 10) : NaN;
+            if (!(limit >= 1 && limit <= MAX_HISTORY_ENTRIES)) {
+                throw new ApiError(400, 'INVALID_LIMIT', `limit must be an integer between 1 and ${MAX_HISTORY_ENTRIES}`, 'limit');
+            }
+        }
+
+        ctx.body = alertManager.getHistory({ alertId: ctx.query.alertId, limit });
+    });
+
+    router.get('/:id', (ctx) => {
+        ctx.body = alertManager.get(ctx.params.id);
+    });
+
+    // Unspecified fields keep their values; the result is validated as a whole
+    router.patch('/:id', async (ctx) => {
+        const current = alertManager.get(ctx.params.id);
+        const body = ctx.request.body;
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw new ApiError(400, 'INVALID_BODY', 'Request body must be a JSON object');
+        }
+
+        const merged = {};
+        for (const field of EDITABLE_FIELDS) {
+            merged[field] = body[field] !== undefined ? body[field] : current[field];
+        }
+
+        // Parameters of another type do not carry over
+        if (body.type !== undefined && body.type !== current.type && body.params === undefined) {
+            merged.params = {};
+        }
+
+        const spec = await validateAlert(merged, symbolDirectory);
+        ctx.body = alertManager.update(ctx.params.id, spec);
+    });
+
+    router.delete('/:id', (ctx) => {
+        alertManager.remove(ctx.params.id);
+        ctx.status = 204;
+    });
+
+    router.post('/:id/test', async (ctx) => {
+        ctx.body = await alertManager.test(ctx.params.id);
+    });
+
+    return router;
+}
+
+module.exports = {
+    createAlertsRouter
+};
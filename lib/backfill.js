@@ -0,0 +1,81 @@
+/**
+ * Backfill
+ * Assembles candle histories longer than a single upstream request allows,
+ * paging backward through the exchange up to a hard cap on candles.
+ */
+const { INTERVAL_MS } = require('./candles');
+
+// Hard cap on candles assembled for one request, to bound memory and upstream weight
+const MAX_HISTORY_CANDLES = 50000;
+
+/**
+ * Fetch a candle history, paging through upstream requests as needed
+ *
+ * Pages backward from `endTime` (or now) until `limit` candles are collected,
+ * or with a `startTime`, until the range is covered. Either way paging stops
+ * at MAX_HISTORY_CANDLES, keeping the most recent candles, so an old start
+ * time cannot spend more upstream weight than a capped request.
+ *
+ * @param {import('./exchanges/base')} exchange - Exchange adapter
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} interval - Canonical interval
+ * @param {Object} options - History options
+ * @param {number} options.limit - Number of candles when no start time is given
+ * @param {number} [options.startTime] - Range start in milliseconds (inclusive)
+ * @param {number} [options.endTime] - Range end in milliseconds (inclusive)
+ * @returns {Promise<import('./candles').Candle[]>} Candles in ascending time order
+ */
+async function fetchCandleHistory(exchange, symbol, interval, { limit, startTime, endTime }) {
+    const pageSize = exchange.maxLimit;
+
+    if (startTime !== undefined) {
+        return fetchBackward(exchange, symbol, interval, pageSize, MAX_HISTORY_CANDLES, endTime, startTime);
+    }
+
+    const wanted = Math.min(limit, MAX_HISTORY_CANDLES);
+    if (wanted <= pageSize) {
+        return exchange.fetchCandles(symbol, interval, { limit: wanted, endTime });
+    }
+
+    return fetchBackward(exchange, symbol, interval, pageSize, wanted, endTime);
+}
+
+/**
+ * Page backward from an end time until enough candles are collected or the start time is reached
+ * Pages are requested by end time only: with a start time too, exchanges
+ * answer with the oldest candles of the range instead of the newest.
+ * @private
+ */
+async function fetchBackward(exchange, symbol, interval, pageSize, wanted, endTime, startTime = -Infinity) {
+    const intervalMs = INTERVAL_MS[interval];
+    let result = [];
+    let cursor = endTime;
+
+    while (result.length < wanted) {
+        // Ask no more than the range can still hold
+        const left = Math.floor(((cursor === undefined ? Date.now() : cursor) - startTime) / intervalMs) + 1;
+        const requested = Math.min(pageSize, wanted - result.length, left);
+        if (requested <= 0) break;
+
+        const page = await exchange.fetchCandles(symbol, interval, {
+            limit: requested,
+            endTime: cursor
+        });
+
+        const older = page.filter(candle => candle.timestamp >= startTime &&
+            (result.length === 0 || candle.timestamp < result[0].timestamp));
+
+        if (older.length === 0) break;
+        result = older.concat(result);
+
+        if (page.length < requested || older.length < page.length) break;
+        cursor = older[0].timestamp - 1;
+    }
+
+    return result;
+}
+
+module.exports = {
+    MAX_HISTORY_CANDLES,
+    fetchCandleHistory
+};
@@ -0,0 +1,165 @@
+/**
+ * Cache Warmer
+ * Keeps popular series fresh so their visitors do not wait for the exchange.
+ * Each target is refetched shortly before its cached open candle expires,
+ * and just after the candle closes so the next one is cached as it opens.
+ * Failed warm-ups are retried a minute later; visitors still get stale data
+ * or a fresh fetch in the meantime. A series the exchange rejects outright
+ * (a 4xx such as an unlisted symbol) is dropped instead of retried forever.
+ */
+const { candleCacheTtl } = require('./candles');
+const { logger } = require('./logger');
+const { recordCacheWarm } = require('./metrics');
+
+// Refetch this long before the cached open candle expires
+const WARM_LEAD_MS = 2000;
+
+// Wait after a candle closes before fetching, so the exchange has opened the next one
+const AFTER_CLOSE_MS = 1000;
+
+// Delay before retrying a failed or empty warm-up
+const RETRY_MS = 60 * 1000;
+
+// Gap between the first warm-ups of consecutive targets, so startup does not burst upstream
+const STAGGER_MS = 250;
+
+/**
+ * @typedef {Object} WarmTarget
+ * @property {string} exchange - Exchange id
+ * @property {string} symbol - Trading pair symbol
+ * @property {string} interval - Interval
+ * @property {number} limit - Candle count
+ */
+
+/**
+ * Build warm-up targets from every combination of symbols and intervals
+ * @param {{exchange: string, symbols: string[], intervals: string[], limit: number}} config - Warm-up configuration
+ * @returns {WarmTarget[]} Targets
+ */
+function buildWarmTargets({ exchange, symbols, intervals, limit }) {
+    return symbols.flatMap(symbol => intervals.map(interval => ({ exchange, symbol, interval, limit })));
+}
+
+/**
+ * Whether a warm-up failure will not go away by retrying
+ * Rate limits (429, 418) pass; other 4xx answers mean the exchange rejects the series.
+ * @param {Error} error - Failure
+ * @returns {boolean} True to stop warming the series
+ */
+function isPermanentFailure(error) {
+    const status = error.response ? error.response.status : null;
+    return status !== null && status >= 400 && status < 500 && status !== 429 && status !== 418;
+}
+
+/**
+ * Delay until a target should be warmed again
+ * @param {import('./candles').Candle[]} candles - Candles the last warm-up fetched
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+function nextWarmDelay(candles, now) {
+    const last = candles[candles.length - 1];
+    if (!last) return RETRY_MS;
+
+    const ttlMs = candleCacheTtl(last, now) * 1000;
+    if (last.closeTime < now) return ttlMs;
+
+    // The cached copy lasts until the close: fetch the next candle once it opens
+    const untilClose = last.closeTime + 1 - now;
+    if (ttlMs >= untilClose) return untilClose + AFTER_CLOSE_MS;
+
+    return ttlMs - WARM_LEAD_MS;
+}
+
+class CacheWarmer {
+    /**
+     * Create a cache warmer
+     * @param {Object} deps - Dependencies
+     * @param {WarmTarget[]} deps.targets - Series to keep warm
+     * @param {function(WarmTarget): Promise<{candles: import('./candles').Candle[], stale: boolean}>} deps.warm -
+     *        Refetches a target's candles into the cache, bypassing cached copies
+     */
+    constructor({ targets, warm }) {
+        this.targets = targets;
+        this.warm = warm;
+
+        /** @type {Map<WarmTarget, NodeJS.Timeout>} Pending warm-up timers */
+        this.timers = new Map();
+    }
+
+    /**
+     * Start warming every target, staggered
+     */
+    start() {
+        this.targets.forEach((target, i) => this._schedule(target, i * STAGGER_MS));
+        if (this.targets.length > 0) {
+            logger.info('Cache warming started', { targets: this.targets.length });
+        }
+    }
+
+    /**
+     * Stop warming
+     */
+    stop() {
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+    }
+
+    /**
+     * Warm a target after a delay
+     * @param {WarmTarget} target - Target
+     * @param {number} delayMs - Delay in milliseconds
+     * @private
+     */
+    _schedule(target, delayMs) {
+        const timer = setTimeout(() => this._run(target), Math.max(0, delayMs));
+        // Never keeps the process alive on its own
+        timer.unref();
+        this.timers.set(target, timer);
+    }
+
+    /**
+     * Refetch a target and schedule its next warm-up
+     * @param {WarmTarget} target - Target
+     * @private
+     */
+    async _run(target) {
+        const started = Date.now();
+        let delayMs = RETRY_MS;
+
+        try {
+            const { candles, stale } = await this.warm(target);
+            if (stale) {
+                recordCacheWarm('stale');
+                logger.warn('Cache warm-up served stale data', { ...target });
+            } else {
+                recordCacheWarm('ok');
+                delayMs = nextWarmDelay(candles, Date.now());
+                logger.debug('Cache warmed', { ...target, durationMs: Date.now() - started, nextInMs: delayMs });
+            }
+        } catch (error) {
+            recordCacheWarm('error');
+
+            if (isPermanentFailure(error)) {
+                logger.warn('Cache warm-up rejected by the exchange, no longer warming the series',
+                    { ...target, status: error.response.status, error });
+                this.timers.delete(target);
+                return;
+            }
+            logger.warn('Cache warm-up failed', { ...target, error });
+        }
+
+        // Stopped while the fetch was running
+        if (!this.timers.has(target)) return;
+        this._schedule(target, delayMs);
+    }
+}
+
+module.exports = {
+    CacheWarmer,
+    buildWarmTargets,
+    isPermanentFailure,
+    nextWarmDelay
+};
@@ -0,0 +1,227 @@
+/**
+ * Candle Service
+ * Answers candle requests from the persistent store where possible and only
+ * goes upstream for the gaps and the still-open candle. Exchanges that opt
+ * out of persistence (the local fixtures) are cached in memory instead.
+ *
+ * When the exchange fails, the last known data is served instead and the
+ * result is flagged as stale.
+ *
+ * Expression symbols are computed from their components, and custom or
+ * timezone-aligned intervals from a native interval; the underlying series
+ * are stored and cached like any other.
+ *
+ * Cached entries live for a share of their candle's duration (see
+ * candleCacheTtl), so long intervals go upstream less often.
+ */
+const CandleStore = require('./candle-store');
+const { INTERVAL_MS, candleCacheTtl } = require('./candles');
+const { MAX_HISTORY_CANDLES, fetchCandleHistory } = require('./backfill');
+const { isExpression, parseExpression, combineSeries } = require('./synthetic');
+const { planInterval, aggregateForPlan } = require('./intervals');
+const { logger } = require('./logger');
+
+// Seconds an empty response is cached, having no candle to size its TTL by
+const EMPTY_RESPONSE_TTL = 60;
+
+class CandleService {
+    /**
+     * Create a candle service
+     * @param {Object} options - Service options
+     * @param {CandleStore} options.store - Persistent store for closed candles
+     * @param {import('node-cache')} options.cache - In-memory cache for open candles and unstored series
+     */
+    constructor({ store, cache }) {
+        this.store = store;
+        this.cache = cache;
+    }
+
+    /**
+     * Get candles for a series
+     * @param {import('./exchanges/base')} exchange - Exchange adapter
+     * @param {string} symbol - Trading pair symbol or symbol expression
+     * @param {string} interval - Canonical or custom interval
+     * @param {{limit: number, startTime?: number, endTime?: number, timezone?: string, sessionStart?: number}} range -
+     *        Candle count or time range, and the candle alignment (UTC midnight by default)
+     * @param {{refresh?: boolean}} [options] - `refresh` refetches the open candle even while its cached copy is fresh
+     * @returns {Promise<{candles: Object[], cacheHit: boolean, stale: boolean, dropped?: number}>} Candles, whether
+     *          no upstream call was needed, whether upstream failed and older data was served instead, and for
+     *          expression symbols the number of candles dropped because the expression was not finite
+     */
+    async getCandles(exchange, symbol, interval, range, options = {}) {
+        if (isExpression(symbol)) {
+            return this._getSynthetic(exchange, parseExpression(symbol), interval, range, options);
+        }
+
+        const plan = planInterval(exchange, interval, {
+            timezone: range.timezone || 'UTC',
+            sessionStart: range.sessionStart || 0
+        });
+        if (plan) {
+            return this._getAggregated(exchange, symbol, plan, range, options);
+        }
+
+        if (!exchange.persistent) {
+            return this._getUnstored(exchange, symbol, interval, range, options);
+        }
+
+        const series = { exchange: exchange.id, symbol, interval };
+        const openKey = `open:${CandleStore.keyOf(series)}`;
+        const intervalMs = INTERVAL_MS[interval];
+        const now = Date.now();
+
+        // Without a start time, look back far enough to hold `limit` candles
+        const limit = Math.min(range.limit, MAX_HISTORY_CANDLES);
+        const startTime = range.startTime !== undefined ? range.startTime : now - (limit + 1) * intervalMs;
+        const endTime = range.endTime !== undefined ? Math.min(range.endTime, now) : now;
+
+        let cacheHit = true;
+        let stale = false;
+
+        for (const [gapStart, gapEnd] of this.store.getMissingRanges(series, startTime, endTime)) {
+            // The open candle is never stored; reuse the cached copy while it stays open
+            const openCandle = this.cache.get(openKey);
+            if (!options.refresh && openCandle && gapStart >= openCandle.timestamp && openCandle.closeTime >= now) {
+                continue;
+            }
+
+            cacheHit = false;
+            let fetched;
+
+            try {
+                fetched = await fetchCandleHistory(exchange, symbol, interval, {
+                    limit: MAX_HISTORY_CANDLES,
+                    startTime: gapStart,
+                    endTime: gapEnd
+                });
+            } catch (error) {
+                // Serve what we already have; fail only if there is nothing to show
+                if (this.store.getCandles(series, startTime, endTime).length === 0) {
+                    throw error;
+                }
+
+                logger.warn('Serving stale candles', { series: CandleStore.keyOf(series), error });
+                stale = true;
+                break;
+            }
+
+            const closed = fetched.filter(candle => candle.closeTime < now);
+            const open = fetched.find(candle => candle.closeTime >= now);
+
+            if (open) {
+                this.cache.set(openKey, open, candleCacheTtl(open, now));
+                // Never expires, so it can still be served while upstream is down
+                this.cache.set(`stale:${openKey}`, open, 0);
+            }
+
+            // Everything before the open candle is final, so the range is complete, except
+            // where paging stopped at the candle cap: that older part is still missing
+            const coveredStart = fetched.length >= MAX_HISTORY_CANDLES ? fetched[0].timestamp : gapStart;
+            const coveredEnd = open ? open.timestamp - 1 : Math.min(gapEnd, now - intervalMs);
+            this.store.addCandles(series, closed, coveredStart, coveredEnd);
+        }
+
+        const candles = this.store.getCandles(series, startTime, endTime);
+
+        const openCandle = this.cache.get(stale ? `stale:${openKey}` : openKey);
+        if (openCandle && openCandle.timestamp >= startTime && openCandle.timestamp <= endTime &&
+            (candles.length === 0 || openCandle.timestamp > candles[candles.length - 1].timestamp)) {
+            candles.push(openCandle);
+        }
+
+        return {
+            candles: candles.slice(range.startTime !== undefined ? -MAX_HISTORY_CANDLES : -limit),
+            cacheHit,
+            stale
+        };
+    }
+
+    /**
+     * Get candles for a synthetic symbol from its component series
+     * The result is a cache hit only if every component was, and stale if any component is.
+     * Candles where the expression is not finite (a divisor reaching zero) are dropped and counted.
+     * @private
+     */
+    async _getSynthetic(exchange, expression, interval, range, options) {
+        const results = await Promise.all(expression.components.map(component =>
+            this.getCandles(exchange, component, interval, range, options)));
+
+        const seriesBySymbol = {};
+        expression.components.forEach((component, i) => {
+            seriesBySymbol[component] = results[i].candles;
+        });
+
+        const { candles, dropped } = combineSeries(expression, seriesBySymbol);
+        return {
+            candles,
+            cacheHit: results.every(result => result.cacheHit),
+            stale: results.some(result => result.stale),
+            dropped
+        };
+    }
+
+    /**
+     * Get candles for a custom interval by aggregating its native source interval
+     * @private
+     */
+    async _getAggregated(exchange, symbol, plan, { limit, startTime, endTime }, options) {
+        // Without a start time, fetch enough source candles for `limit` candles plus a partial one
+        const sourceMs = INTERVAL_MS[plan.source];
+        const source = await this.getCandles(exchange, symbol, plan.source, startTime !== undefined
+            ? { limit: MAX_HISTORY_CANDLES, startTime: plan.bucketOf(startTime).start, endTime }
+            : { limit: Math.min((limit + 1) * Math.ceil(plan.approxMs / sourceMs), MAX_HISTORY_CANDLES), endTime },
+            options);
+
+        let candles = aggregateForPlan(source.candles, plan);
+
+        // A first candle missing its earliest source candles (history cap or listing date) would be misleading
+        if (candles.length > 0 && source.candles[0].timestamp > candles[0].timestamp) {
+            candles = candles.slice(1);
+        }
+
+        return {
+            candles: startTime !== undefined
+                ? candles.filter(candle => candle.timestamp >= startTime)
+                : candles.slice(-limit),
+            cacheHit: source.cacheHit,
+            stale: source.stale
+        };
+    }
+
+    /**
+     * Get candles for an exchange that is not persisted, caching whole responses in memory
+     * @private
+     */
+    async _getUnstored(exchange, symbol, interval, { limit, startTime, endTime }, options) {
+        // Create a cache key from request parameters
+        const cacheKey = `${exchange.id}:${symbol}-${interval}-${limit}-${startTime || ''}-${endTime || ''}`;
+
+        // Try to get data from cache
+        const cachedData = options.refresh ? undefined : this.cache.get(cacheKey);
+        if (cachedData) {
+            return { candles: cachedData, cacheHit: true, stale: false };
+        }
+
+        let candles;
+        try {
+            candles = await fetchCandleHistory(exchange, symbol, interval, { limit, startTime, endTime });
+        } catch (error) {
+            const staleData = this.cache.get(`stale:${cacheKey}`);
+            if (!staleData) {
+                throw error;
+            }
+
+            logger.warn('Serving stale candles', { series: cacheKey, error });
+            return { candles: staleData, cacheHit: false, stale: true };
+        }
+
+        // Store in cache for as long as the last candle allows
+        const last = candles[candles.length - 1];
+        this.cache.set(cacheKey, candles, last ? candleCacheTtl(last) : EMPTY_RESPONSE_TTL);
+        this.cache.set(`stale:${cacheKey}`, candles, 0);
+
+        return { candles, cacheHit: false, stale: false };
+    }
+}
+
+module.exports = CandleService;
@@ -0,0 +1,350 @@
+/**
+ * Candle Store
+ * Persists closed candles on disk, one append-only NDJSON file per
+ * exchange/symbol/interval series, next to a small JSON file recording which
+ * time ranges have been fetched completely ("coverage"). Closed candles never
+ * change, so they are kept forever and only the gaps are fetched again.
+ *
+ * Series are parsed into memory on first use. Beyond a total number of parsed
+ * candles the least recently used series are dropped from memory and read
+ * from disk again when next needed.
+ *
+ * Layout: `<dir>/<exchange>/<SYMBOL>-<interval>.ndjson` and
+ *         `<dir>/<exchange>/<SYMBOL>-<interval>.coverage.json`
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Parsed candles kept in memory across all series
+const DEFAULT_MAX_LOADED_CANDLES = 500000;
+
+/**
+ * @typedef {Object} Series
+ * @property {string} exchange - Exchange adapter id
+ * @property {string} symbol - Trading pair symbol
+ * @property {string} interval - Canonical interval
+ */
+
+class CandleStore {
+    /**
+     * Create a candle store
+     * @param {string} dir - Root directory for series files
+     * @param {Object} [options] - Store options
+     * @param {number} [options.maxLoadedCandles] - Parsed candles kept in memory before series are dropped
+     */
+    constructor(dir, { maxLoadedCandles = DEFAULT_MAX_LOADED_CANDLES } = {}) {
+        this.dir = dir;
+        this.maxLoadedCandles = maxLoadedCandles;
+
+        /** @type {Map<string, {candles: Object[], timestamps: Set<number>, coverage: Array<[number, number]>}>} Loaded series, least recently used first */
+        this.loaded = new Map();
+
+        /** @type {Map<string, number>|null} Candles per series key, counted on first use and kept up to date */
+        this.counts = null;
+    }
+
+    /**
+     * Build the key identifying a series
+     * @param {Series} series - Series
+     * @returns {string} Key such as "binance:BTCUSDT-1h"
+     */
+    static keyOf(series) {
+        return `${series.exchange}:${series.symbol}-${series.interval}`;
+    }
+
+    /**
+     * Parse a series key back into its parts
+     * @param {string} key - Key such as "binance:BTCUSDT-1h"
+     * @returns {Series|null} Series or null if the key is malformed
+     */
+    static parseKey(key) {
+        const match = /^([a-z0-9]+):([A-Z0-9]+)-([0-9]+[a-zA-Z])$/.exec(key);
+        return match ? { exchange: match[1], symbol: match[2], interval: match[3] } : null;
+    }
+
+    /**
+     * Get file paths for a series
+     * @param {Series} series - Series
+     * @returns {{candles: string, coverage: string}} File paths
+     * @private
+     */
+    _paths(series) {
+        const base = path.join(this.dir, series.exchange, `${series.symbol}-${series.interval}`);
+        return {
+            candles: `${base}.ndjson`,
+            coverage: `${base}.coverage.json`
+        };
+    }
+
+    /**
+     * Return the in-memory state of a series, loading it from disk if needed
+     * @param {Series} series - Series
+     * @returns {{candles: Object[], timestamps: Set<number>, coverage: Array<[number, number]>}} Series state
+     * @private
+     */
+    _load(series) {
+        const key = CandleStore.keyOf(series);
+        let state = this.loaded.get(key);
+
+        // Re-inserted, so the map stays ordered from least to most recently used
+        if (state) {
+            this.loaded.delete(key);
+        } else {
+            state = this._read(series);
+        }
+        this.loaded.set(key, state);
+        this._evict(key);
+
+        return state;
+    }
+
+    /**
+     * Drop the least recently used series from memory while too many candles are loaded
+     * @param {string} keep - Key of the series in use, which always stays
+     * @private
+     */
+    _evict(keep) {
+        let total = 0;
+        for (const state of this.loaded.values()) {
+            total += state.candles.length;
+        }
+
+        for (const [key, state] of this.loaded) {
+            if (total <= this.maxLoadedCandles) break;
+            if (key === keep) continue;
+
+            this.loaded.delete(key);
+            total -= state.candles.length;
+        }
+    }
+
+    /**
+     * Read a series from disk
+     * @param {Series} series - Series
+     * @returns {{candles: Object[], timestamps: Set<number>, coverage: Array<[number, number]>}} Series state
+     * @private
+     */
+    _read(series) {
+        const paths = this._paths(series);
+        const state = { candles: [], timestamps: new Set(), coverage: [] };
+
+        if (fs.existsSync(paths.candles)) {
+            for (const line of fs.readFileSync(paths.candles, 'utf8').split('\n')) {
+                if (!line) continue;
+                const candle = JSON.parse(line);
+                if (!state.timestamps.has(candle.timestamp)) {
+                    state.timestamps.add(candle.timestamp);
+                    state.candles.push(candle);
+                }
+            }
+            state.candles.sort((a, b) => a.timestamp - b.timestamp);
+        }
+
+        if (fs.existsSync(paths.coverage)) {
+            state.coverage = JSON.parse(fs.readFileSync(paths.coverage, 'utf8'));
+        }
+
+        return state;
+    }
+
+    /**
+     * Get stored candles whose open time falls within a range
+     * @param {Series} series - Series
+     * @param {number} startTime - Range start in milliseconds (inclusive)
+     * @param {number} endTime - Range end in milliseconds (inclusive)
+     * @returns {Object[]} Candles in ascending time order
+     */
+    getCandles(series, startTime, endTime) {
+        return this._load(series).candles.filter(candle =>
+            candle.timestamp >= startTime && candle.timestamp <= endTime
+        );
+    }
+
+    /**
+     * Get the parts of a range that have not been fetched yet
+     * @param {Series} series - Series
+     * @param {number} startTime - Range start in milliseconds (inclusive)
+     * @param {number} endTime - Range end in milliseconds (inclusive)
+     * @returns {Array<[number, number]>} Missing sub-ranges
+     */
+    getMissingRanges(series, startTime, endTime) {
+        const missing = [];
+        let cursor = startTime;
+
+        for (const [start, end] of this._load(series).coverage) {
+            if (end < cursor) continue;
+            if (start > endTime) break;
+
+            if (start > cursor) {
+                missing.push([cursor, start - 1]);
+            }
+            cursor = end + 1;
+        }
+
+        if (cursor <= endTime) {
+            missing.push([cursor, endTime]);
+        }
+
+        return missing;
+    }
+
+    /**
+     * Store closed candles and mark a range as completely fetched
+     * Candles that are already stored are skipped.
+     * @param {Series} series - Series
+     * @param {Object[]} candles - Closed candles
+     * @param {number} coveredStart - Start of the fetched range in milliseconds
+     * @param {number} coveredEnd - End of the fetched range in milliseconds
+     */
+    addCandles(series, candles, coveredStart, coveredEnd) {
+        const state = this._load(series);
+        const paths = this._paths(series);
+        const fresh = candles.filter(candle => !state.timestamps.has(candle.timestamp));
+
+        fs.mkdirSync(path.dirname(paths.candles), { recursive: true });
+
+        if (fresh.length > 0) {
+            fs.appendFileSync(paths.candles, fresh.map(candle => JSON.stringify(candle) + '\n').join(''));
+
+            for (const candle of fresh) {
+                state.timestamps.add(candle.timestamp);
+                state.candles.push(candle);
+            }
+            state.candles.sort((a, b) => a.timestamp - b.timestamp);
+        }
+
+        if (this.counts) {
+            this.counts.set(CandleStore.keyOf(series), state.candles.length);
+        }
+        this._evict(CandleStore.keyOf(series));
+
+        if (coveredEnd >= coveredStart) {
+            state.coverage = mergeRanges([...state.coverage, [coveredStart, coveredEnd]]);
+            fs.writeFileSync(paths.coverage, JSON.stringify(state.coverage));
+        }
+    }
+
+    /**
+     * List every stored series
+     * @returns {Series[]} Series found on disk
+     */
+    listSeries() {
+        if (!fs.existsSync(this.dir)) return [];
+
+        const series = [];
+        for (const exchange of fs.readdirSync(this.dir)) {
+            const exchangeDir = path.join(this.dir, exchange);
+            if (!fs.statSync(exchangeDir).isDirectory()) continue;
+
+            for (const file of fs.readdirSync(exchangeDir)) {
+                if (!file.endsWith('.ndjson')) continue;
+
+                const name = file.slice(0, -'.ndjson'.length);
+                const separator = name.lastIndexOf('-');
+                series.push({
+                    exchange,
+                    symbol: name.slice(0, separator),
+                    interval: name.slice(separator + 1)
+                });
+            }
+        }
+        return series;
+    }
+
+    /**
+     * Count the stored candles of every series
+     * Series not loaded yet are counted by their lines once, without parsing
+     * them; later changes update the counts, so this is cheap to call often.
+     * @returns {Map<string, number>} Candle count by series key
+     */
+    countCandles() {
+        if (!this.counts) {
+            this.counts = new Map();
+            for (const series of this.listSeries()) {
+                const key = CandleStore.keyOf(series);
+                const state = this.loaded.get(key);
+                this.counts.set(key, state ? state.candles.length : countLines(this._paths(series).candles));
+            }
+        }
+        return this.counts;
+    }
+
+    /**
+     * Get storage statistics for every stored series
+     * @returns {Array<{series: string, candles: number, first: string|null, last: string|null, coverage: Array<[number, number]>, bytes: number}>} Statistics
+     */
+    getStats() {
+        return this.listSeries().map(series => {
+            // Read without loading, so listing every series does not push out the ones in use
+            const state = this.loaded.get(CandleStore.keyOf(series)) || this._read(series);
+            const { candles } = this._paths(series);
+
+            return {
+                series: CandleStore.keyOf(series),
+                candles: state.candles.length,
+                first: state.candles.length > 0 ? state.candles[0].date : null,
+                last: state.candles.length > 0 ? state.candles[state.candles.length - 1].date : null,
+                coverage: state.coverage,
+                bytes: fs.existsSync(candles) ? fs.statSync(candles).size : 0
+            };
+        });
+    }
+
+    /**
+     * Delete one series, or every series when none is given
+     * @param {Series} [series] - Series to delete
+     * @returns {number} Number of series deleted
+     */
+    clear(series) {
+        const targets = series ? [series] : this.listSeries();
+
+        for (const target of targets) {
+            const paths = this._paths(target);
+            fs.rmSync(paths.candles, { force: true });
+            fs.rmSync(paths.coverage, { force: true });
+            this.loaded.delete(CandleStore.keyOf(target));
+            if (this.counts) this.counts.delete(CandleStore.keyOf(target));
+        }
+
+        return targets.length;
+    }
+}
+
+/**
+ * Count the lines of a file
+ * @param {string} file - File path
+ * @returns {number} Line count, 0 if the file does not exist
+ */
+function countLines(file) {
+    if (!fs.existsSync(file)) return 0;
+
+    const content = fs.readFileSync(file);
+    let lines = 0;
+    for (let i = content.indexOf(10); i !== -1; i = content.indexOf(10, i + 1)) lines++;
+
+    // The last line may lack its line break
+    return content.length > 0 && content[content.length - 1] !== 10 ? lines + 1 : lines;
+}
+
+/**
+ * Merge overlapping or adjacent ranges
+ * @param {Array<[number, number]>} ranges - Ranges
+ * @returns {Array<[number, number]>} Sorted, merged ranges
+ */
+function mergeRanges(ranges) {
+    const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+    const merged = [];
+
+    for (const range of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1] + 1) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push([range[0], range[1]]);
+        }
+    }
+
+    return merged;
+}
+
+module.exports = CandleStore;
@@ -0,0 +1,140 @@
+// Candle helpers shared by exchange adapters and routes
+
+/**
+ * @typedef {Object} Candle
+ * @property {number} timestamp - Candle open time in milliseconds
+ * @property {string} date - ISO date string of candle open time
+ * @property {number} open - Open price
+ * @property {number} high - Highest price
+ * @property {number} low - Lowest price
+ * @property {number} close - Close price
+ * @property {number} volume - Base asset volume
+ * @property {number} closeTime - Candle close time in milliseconds
+ * @property {number|null} quoteVolume - Quote asset volume, if the exchange reports it
+ * @property {number|null} trades - Number of trades, if the exchange reports it
+ */
+
+// Interval durations in milliseconds, keyed by our canonical (Binance-style) names
+const INTERVAL_MS = {
+    '1m': 60 * 1000,
+    '3m': 3 * 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '15m': 15 * 60 * 1000,
+    '30m': 30 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '2h': 2 * 60 * 60 * 1000,
+    '4h': 4 * 60 * 60 * 1000,
+    '6h': 6 * 60 * 60 * 1000,
+    '8h': 8 * 60 * 60 * 1000,
+    '12h': 12 * 60 * 60 * 1000,
+    '1d': 24 * 60 * 60 * 1000,
+    '3d': 3 * 24 * 60 * 60 * 1000,
+    '1w': 7 * 24 * 60 * 60 * 1000,
+    '1M': 30 * 24 * 60 * 60 * 1000
+};
+
+// Bounds of a cached candle's TTL, in seconds
+const MIN_CACHE_TTL = 5;
+const MAX_CACHE_TTL = 60 * 60;
+
+// An open candle is refetched about this many times over its life
+const REFRESHES_PER_CANDLE = 12;
+
+/**
+ * Seconds a candle (or a response ending with it) may be cached
+ * A twelfth of the candle's duration, between 5 seconds and an hour, so a 3d
+ * candle is refetched far less often than a 1h one. An open candle is never
+ * kept past its close, when the next candle starts.
+ * @param {Candle} candle - Last candle
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {number} TTL in seconds, at least 1
+ */
+function candleCacheTtl(candle, now = Date.now()) {
+    const share = Math.round((candle.closeTime + 1 - candle.timestamp) / 1000 / REFRESHES_PER_CANDLE);
+    const ttl = Math.min(Math.max(share, MIN_CACHE_TTL), MAX_CACHE_TTL);
+
+    if (candle.closeTime < now) return ttl;
+    return Math.max(1, Math.min(ttl, Math.ceil((candle.closeTime + 1 - now) / 1000)));
+}
+
+/**
+ * Convert a Binance kline array into a candle object
+ * @param {Array} kline - Binance kline [openTime, open, high, low, close, volume, closeTime, quoteVolume, trades, ...]
+ * @returns {Candle} Normalized candle
+ */
+function fromBinanceKline(kline) {
+    return {
+        timestamp: kline[0],
+        date: new Date(kline[0]).toISOString(),
+        open: parseFloat(kline[1]),
+        high: parseFloat(kline[2]),
+        low: parseFloat(kline[3]),
+        close: parseFloat(kline[4]),
+        volume: parseFloat(kline[5]),
+        closeTime: kline[6],
+        quoteVolume: parseFloat(kline[7]),
+        trades: kline[8]
+    };
+}
+
+/**
+ * Aggregate candles into larger buckets of a fixed duration
+ * Buckets are aligned to the epoch, so 1h candles grouped into 4h buckets
+ * start at 00:00, 04:00, 08:00 UTC and so on.
+ * @param {Candle[]} candles - Source candles in ascending time order
+ * @param {number} bucketMs - Target candle duration in milliseconds
+ * @returns {Candle[]} Aggregated candles
+ */
+function aggregateCandles(candles, bucketMs) {
+    return aggregateCandlesBy(candles, (time) => {
+        const start = Math.floor(time / bucketMs) * bucketMs;
+        return { start, end: start + bucketMs - 1 };
+    });
+}
+
+/**
+ * Aggregate candles into buckets given by a lookup function
+ * @param {Candle[]} candles - Source candles in ascending time order
+ * @param {function(number): {start: number, end: number}} bucketOf - Open and close time of the bucket containing a time
+ * @returns {Candle[]} Aggregated candles
+ */
+function aggregateCandlesBy(candles, bucketOf) {
+    const result = [];
+    let current = null;
+
+    for (const candle of candles) {
+        if (!current || candle.timestamp > current.closeTime) {
+            const { start, end } = bucketOf(candle.timestamp);
+            current = {
+                timestamp: start,
+                date: new Date(start).toISOString(),
+                open: candle.open,
+                high: candle.high,
+                low: candle.low,
+                close: candle.close,
+                volume: 0,
+                closeTime: end,
+                quoteVolume: candle.quoteVolume === null ? null : 0,
+                trades: candle.trades === null ? null : 0
+            };
+            result.push(current);
+        }
+
+        current.high = Math.max(current.high, candle.high);
+        current.low = Math.min(current.low, candle.low);
+        current.close = candle.close;
+        current.volume += candle.volume;
+        if (current.quoteVolume !== null && candle.quoteVolume !== null) current.quoteVolume += candle.quoteVolume;
+        if (current.trades !== null && candle.trades !== null) current.trades += candle.trades;
+    }
+
+    return result;
+}
+
+module.exports = {
+    INTERVAL_MS,
+    candleCacheTtl,
+    fromBinanceKline,
+    aggregateCandles,
+    aggregateCandlesBy
+};
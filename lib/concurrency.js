@@ -0,0 +1,31 @@
+// Helpers for running async work with a bounded number of tasks in flight
+
+/**
+ * Map items through an async function, running at most `limit` calls at once
+ * Results keep the order of the input. A rejected call rejects the whole map,
+ * so callers that want per-item failures should catch inside `fn`.
+ * @template T, R
+ * @param {T[]} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {function(T, number): Promise<R>} fn - Async function called with each item and its index
+ * @returns {Promise<R[]>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+module.exports = {
+    mapWithConcurrency
+};
@@ -0,0 +1,161 @@
+// Shape-preserving reduction of long candle series to a target point count
+
+/**
+ * Split the indexes [0, length) into a number of contiguous, near-equal buckets
+ * @param {number} length - Number of items
+ * @param {number} count - Number of buckets
+ * @returns {Array<[number, number]>} Start (inclusive) and end (exclusive) index of each bucket
+ */
+function bucketBounds(length, count) {
+    const bounds = [];
+    for (let i = 0; i < count; i++) {
+        const start = Math.floor(i * length / count);
+        const end = Math.floor((i + 1) * length / count);
+        if (end > start) bounds.push([start, end]);
+    }
+    return bounds;
+}
+
+/**
+ * Largest-Triangle-Three-Buckets on close prices
+ * Keeps the first and last candle and, from each bucket in between, the candle
+ * forming the largest triangle with the previously kept candle and the next
+ * bucket's average, which keeps the visual shape of the line.
+ * @param {import('./candles').Candle[]} candles - Candles in ascending time order
+ * @param {number} target - Number of candles to keep (at least 3)
+ * @returns {import('./candles').Candle[]} Kept candles, unmodified
+ */
+function lttb(candles, target) {
+    const result = [candles[0]];
+    const buckets = bucketBounds(candles.length - 2, target - 2)
+        .map(([start, end]) => [start + 1, end + 1]);
+
+    let previous = candles[0];
+    buckets.forEach(([start, end], i) => {
+        // Average point of the next bucket (or the last candle after the final bucket)
+        const [nextStart, nextEnd] = buckets[i + 1] || [candles.length - 1, candles.length];
+        let avgX = 0;
+        let avgY = 0;
+        for (let j = nextStart; j < nextEnd; j++) {
+            avgX += candles[j].timestamp;
+            avgY += candles[j].close;
+        }
+        avgX /= nextEnd - nextStart;
+        avgY /= nextEnd - nextStart;
+
+        let maxArea = -1;
+        let chosen = candles[start];
+        for (let j = start; j < end; j++) {
+            const area = Math.abs(
+                (previous.timestamp - avgX) * (candles[j].close - previous.close) -
+                (previous.timestamp - candles[j].timestamp) * (avgY - previous.close)
+            );
+            if (area > maxArea) {
+                maxArea = area;
+                chosen = candles[j];
+            }
+        }
+
+        result.push(chosen);
+        previous = chosen;
+    });
+
+    result.push(candles[candles.length - 1]);
+    return result;
+}
+
+/**
+ * Min/max decimation
+ * Keeps, from each bucket, the candle with the lowest low and the one with the
+ * highest high, in time order, so every peak and trough survives.
+ * @param {import('./candles').Candle[]} candles - Candles in ascending time order
+ * @param {number} target - Number of candles to keep
+ * @returns {import('./candles').Candle[]} Kept candles, unmodified
+ */
+function minmax(candles, target) {
+    const result = [];
+
+    // The open candle is kept on its own so live updates can keep patching it
+    const closed = candles.slice(0, -1);
+    for (const [start, end] of bucketBounds(closed.length, Math.floor((target - 1) / 2))) {
+        let low = start;
+        let high = start;
+        for (let j = start; j < end; j++) {
+            if (closed[j].low < closed[low].low) low = j;
+            if (closed[j].high > closed[high].high) high = j;
+        }
+
+        result.push(closed[Math.min(low, high)]);
+        if (low !== high) result.push(closed[Math.max(low, high)]);
+    }
+
+    result.push(candles[candles.length - 1]);
+    return result;
+}
+
+/**
+ * Merge consecutive candles into one
+ * @param {import('./candles').Candle[]} group - Candles in ascending time order
+ * @returns {import('./candles').Candle} Candle spanning the whole group
+ */
+function mergeCandles(group) {
+    const first = group[0];
+    const last = group[group.length - 1];
+    const sum = (field) => group.some(c => c[field] === null) ? null : group.reduce((total, c) => total + c[field], 0);
+
+    return {
+        timestamp: first.timestamp,
+        date: first.date,
+        open: first.open,
+        high: Math.max(...group.map(c => c.high)),
+        low: Math.min(...group.map(c => c.low)),
+        close: last.close,
+        volume: sum('volume'),
+        closeTime: last.closeTime,
+        quoteVolume: sum('quoteVolume'),
+        trades: sum('trades')
+    };
+}
+
+/**
+ * OHLC bucketing
+ * Merges each bucket of consecutive candles into a single wider candle, so
+ * candlestick charts keep every high and low.
+ * @param {import('./candles').Candle[]} candles - Candles in ascending time order
+ * @param {number} target - Number of candles to return
+ * @returns {import('./candles').Candle[]} Merged candles
+ */
+function ohlcBucket(candles, target) {
+    // The open candle is kept on its own so live updates can keep patching it
+    const closed = candles.slice(0, -1);
+    const result = bucketBounds(closed.length, target - 1)
+        .map(([start, end]) => mergeCandles(closed.slice(start, end)));
+
+    result.push(candles[candles.length - 1]);
+    return result;
+}
+
+// Downsampling methods, keyed by the `downsample` query value
+const DOWNSAMPLERS = {
+    lttb,
+    minmax,
+    'ohlc-bucket': ohlcBucket
+};
+
+/**
+ * Reduce a candle series to about `target` points
+ * Series already within the target are returned as they are.
+ * @param {import('./candles').Candle[]} candles - Candles in ascending time order
+ * @param {string} method - Key of DOWNSAMPLERS
+ * @param {number} target - Maximum number of points to return (at least 3)
+ * @returns {import('./candles').Candle[]} Reduced series
+ */
+function downsample(candles, method, target) {
+    if (candles.length <= target) return candles;
+    return DOWNSAMPLERS[method](candles, target);
+}
+
+module.exports = {
+    DOWNSAMPLERS,
+    downsample
+};
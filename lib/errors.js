@@ -0,0 +1,100 @@
+// API errors and the Koa middleware that turns them into structured responses
+const axios = require('axios');
+const { logger } = require('./logger');
+
+/**
+ * Error with an HTTP status and a machine-readable code
+ * Rendered as `{code, message, field}` by the error middleware.
+ */
+class ApiError extends Error {
+    /**
+     * Create an API error
+     * @param {number} status - HTTP status
+     * @param {string} code - Machine-readable error code (e.g. "INVALID_INTERVAL")
+     * @param {string} message - Human readable message, safe to show to clients
+     * @param {string|null} [field=null] - Query parameter the error relates to
+     */
+    constructor(status, code, message, field = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.field = field;
+    }
+}
+
+/**
+ * Translate an upstream (exchange) failure into an API error
+ * Upstream details are logged but never sent to the client.
+ * @param {Error} error - Error thrown while calling the exchange
+ * @returns {ApiError} Client-safe error
+ */
+function fromUpstreamError(error) {
+    const status = error.response ? error.response.status : null;
+
+    // Binance answers 418 once an IP keeps ignoring its 429s
+    if (status === 429 || status === 418) {
+        const apiError = new ApiError(429, 'RATE_LIMITED', 'The exchange is rate limiting requests, please retry later');
+        apiError.retryAfter = error.response.headers['retry-after'];
+        return apiError;
+    }
+
+    return new ApiError(502, 'UPSTREAM_ERROR', 'The exchange did not return valid data');
+}
+
+/**
+ * Turn any thrown error into an API error
+ * @param {Error} error - Thrown error
+ * @returns {ApiError} The error itself if it already is one, otherwise a client-safe equivalent
+ */
+function toApiError(error) {
+    if (error instanceof ApiError) return error;
+
+    return axios.isAxiosError(error)
+        ? fromUpstreamError(error)
+        : new ApiError(500, 'INTERNAL_ERROR', 'Unexpected server error');
+}
+
+/**
+ * Koa middleware rendering thrown errors with the `{code, message, field}` schema
+ * @returns {Function} Koa middleware
+ */
+function errorHandler() {
+    return async (ctx, next) => {
+        try {
+            await next();
+        } catch (error) {
+            const apiError = toApiError(error);
+            ctx.state.errorCode = apiError.code;
+
+            if (apiError.status >= 500 || apiError.status === 429) {
+                logger.error('Request failed', {
+                    method: ctx.method,
+                    path: ctx.path,
+                    code: apiError.code,
+                    error,
+                    upstreamStatus: error.response ? error.response.status : undefined,
+                    stack: apiError.code === 'INTERNAL_ERROR' ? error.stack : undefined
+                });
+            }
+
+            if (apiError.retryAfter) {
+                ctx.set('Retry-After', String(apiError.retryAfter));
+            }
+
+            ctx.status = apiError.status;
+            ctx.body = {
+                code: apiError.code,
+                message: apiError.message,
+                field: apiError.field
+            };
+        }
+    };
+}
+
+module.exports = {
+    ApiError,
+    fromUpstreamError,
+    toApiError,
+    errorHandler
+};
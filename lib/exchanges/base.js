@@ -0,0 +1,183 @@
+/**
+ * Base Exchange Adapter
+ * All exchange adapters should extend this class
+ */
+const WebSocket = require('ws');
+const { logger } = require('../logger');
+
+// Delay before reconnecting a dropped upstream socket
+const RECONNECT_DELAY_MS = 5000;
+
+class ExchangeAdapter {
+    /**
+     * Create a new adapter
+     * @param {Object} options - Adapter options
+     */
+    constructor(options = {}) {
+        this.options = { ...options };
+    }
+
+    /**
+     * Unique adapter id used in the `exchange` query parameter
+     * @returns {string} Adapter id
+     */
+    get id() {
+        throw new Error(`${this.constructor.name} must define an id`);
+    }
+
+    /**
+     * Human readable exchange name
+     * @returns {string} Display name
+     */
+    get name() {
+        return this.id;
+    }
+
+    /**
+     * Map of canonical interval names (e.g. "1h") to the exchange's own notation
+     * Should be implemented by subclasses
+     * @returns {Object<string, string>} Interval map
+     */
+    get intervals() {
+        return {};
+    }
+
+    /**
+     * Whether closed candles from this exchange are kept in the persistent candle store
+     * @returns {boolean} True to persist
+     */
+    get persistent() {
+        return true;
+    }
+
+    /**
+     * Maximum number of candles a single upstream request can return
+     * @returns {number} Page size
+     */
+    get maxLimit() {
+        return 1000;
+    }
+
+    /**
+     * Convert a canonical interval to the exchange's notation
+     * @param {string} interval - Canonical interval (e.g. "4h")
+     * @returns {string} Exchange-native interval
+     * @throws {Error} If the interval is not supported by this exchange
+     */
+    normalizeInterval(interval) {
+        const native = this.intervals[interval];
+        if (native === undefined) {
+            throw new Error(`Interval ${interval} is not supported by ${this.name}`);
+        }
+        return native;
+    }
+
+    /**
+     * Fetch candles for a symbol
+     * Should be implemented by subclasses
+     * @param {string} symbol - Trading pair symbol (e.g. "BTCUSDT")
+     * @param {string} interval - Canonical interval
+     * @param {Object} options - Fetch options
+     * @param {number} options.limit - Maximum number of candles (at most maxLimit)
+     * @param {number} [options.startTime] - Earliest candle open time in milliseconds
+     * @param {number} [options.endTime] - Latest candle open time in milliseconds
+     * @returns {Promise<import('../candles').Candle[]>} Candles in ascending time order
+     */
+    async fetchCandles(symbol, interval, options) {
+        throw new Error(`${this.constructor.name}.fetchCandles() not implemented`);
+    }
+
+    /**
+     * List tradable symbols
+     * Should be implemented by subclasses
+     * @returns {Promise<Array<{symbol: string, baseAsset: string, quoteAsset: string, status: string}>>} Symbols
+     */
+    async listSymbols() {
+        throw new Error(`${this.constructor.name}.listSymbols() not implemented`);
+    }
+
+    /**
+     * Check that the exchange answers, for readiness probes
+     * Subclasses should override this with their cheapest endpoint.
+     * @returns {Promise<void>} Resolves if the exchange is reachable
+     */
+    async ping() {
+        await this.listSymbols();
+    }
+
+    /**
+     * Subscribe to live candle updates for a symbol
+     * Should be implemented by subclasses that support streaming
+     * @param {string} symbol - Trading pair symbol
+     * @param {string} interval - Canonical interval
+     * @param {function(import('../candles').Candle): void} onCandle - Called with every update
+     *        of the open candle; `candle.closed` is true on its final update
+     * @returns {function(): void} Unsubscribe function
+     */
+    subscribeCandles(symbol, interval, onCandle) {
+        throw new Error(`${this.name} does not support streaming`);
+    }
+
+    /**
+     * Open a WebSocket that reconnects until it is closed explicitly
+     * @param {string} url - Socket URL
+     * @param {Object} handlers - Socket handlers
+     * @param {function(WebSocket): void} [handlers.onOpen] - Called after every (re)connect
+     * @param {function(Object): void} handlers.onMessage - Called with each parsed JSON message
+     * @returns {function(): void} Close function
+     * @protected
+     */
+    _openSocket(url, { onOpen, onMessage }) {
+        let socket = null;
+        let closed = false;
+        let reconnectTimer = null;
+
+        const connect = () => {
+            socket = new WebSocket(url);
+
+            socket.on('open', () => {
+                if (onOpen) onOpen(socket);
+            });
+
+            socket.on('message', (raw) => {
+                try {
+                    onMessage(JSON.parse(raw.toString()));
+                } catch (error) {
+                    logger.error('Stream message error', { exchange: this.id, url, error });
+                }
+            });
+
+            socket.on('error', (error) => {
+                logger.error('Stream error', { exchange: this.id, url, error });
+            });
+
+            socket.on('close', () => {
+                if (!closed) {
+                    reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+                }
+            });
+        };
+
+        connect();
+
+        return () => {
+            closed = true;
+            clearTimeout(reconnectTimer);
+            socket.terminate();
+        };
+    }
+
+    /**
+     * Describe the adapter for API consumers
+     * @returns {{id: string, name: string, intervals: string[]}} Adapter description
+     */
+    describe() {
+        return {
+            id: this.id,
+            name: this.name,
+            intervals: Object.keys(this.intervals)
+        };
+    }
+}
+
+module.exports = ExchangeAdapter;
@@ -0,0 +1,125 @@
+/**
+ * Binance Exchange Adapter
+ * Reads spot klines and exchange info from the Binance REST API.
+ */
+const ExchangeAdapter = require('./base');
+const UpstreamClient = require('../upstream');
+const { fromBinanceKline } = require('../candles');
+
+// Binance uses the canonical interval names as-is
+const BINANCE_INTERVALS = {
+    '1m': '1m', '3m': '3m', '5m': '5m', '15m': '15m', '30m': '30m',
+    '1h': '1h', '2h': '2h', '4h': '4h', '6h': '6h', '8h': '8h', '12h': '12h',
+    '1d': '1d', '3d': '3d', '1w': '1w', '1M': '1M'
+};
+
+/**
+ * Request weight of a klines call, which grows with the limit
+ * @param {number} limit - Requested candles
+ * @returns {number} Weight
+ */
+function klinesWeight(limit) {
+    if (limit <= 100) return 1;
+    if (limit <= 500) return 2;
+    if (limit <= 1000) return 5;
+    return 10;
+}
+
+class BinanceAdapter extends ExchangeAdapter {
+    /**
+     * Create a Binance adapter
+     * @param {Object} options - Adapter options
+     * @param {string} [options.baseUrl] - REST API base URL
+     * @param {string} [options.streamUrl] - WebSocket stream base URL
+     */
+    constructor(options = {}) {
+        super({
+            baseUrl: 'https://api.binance.com',
+            streamUrl: 'wss://stream.binance.com:9443',
+            ...options
+        });
+
+        this.http = new UpstreamClient({
+            name: this.name,
+            weight: { header: 'x-mbx-used-weight-1m', limit: 6000, windowMs: 60 * 1000 }
+        });
+    }
+
+    get id() {
+        return 'binance';
+    }
+
+    get name() {
+        return 'Binance';
+    }
+
+    get intervals() {
+        return BINANCE_INTERVALS;
+    }
+
+    async fetchCandles(symbol, interval, { limit, startTime, endTime }) {
+        const klines = await this.http.get(`${this.options.baseUrl}/api/v3/klines`, {
+            params: { symbol, interval: this.normalizeInterval(interval), limit, startTime, endTime },
+            weight: klinesWeight(limit)
+        });
+
+        return klines.map(fromBinanceKline);
+    }
+
+    subscribeCandles(symbol, interval, onCandle) {
+        const stream = `${symbol.toLowerCase()}@kline_${this.normalizeInterval(interval)}`;
+
+        return this._openSocket(`${this.options.streamUrl}/ws/${stream}`, {
+            onMessage: (message) => {
+                if (message.e !== 'kline') return;
+
+                const k = message.k;
+                onCandle({
+                    timestamp: k.t,
+                    date: new Date(k.t).toISOString(),
+                    open: parseFloat(k.o),
+                    high: parseFloat(k.h),
+                    low: parseFloat(k.l),
+                    close: parseFloat(k.c),
+                    volume: parseFloat(k.v),
+                    closeTime: k.T,
+                    quoteVolume: parseFloat(k.q),
+                    trades: k.n,
+                    closed: k.x
+                });
+            }
+        });
+    }
+
+    async ping() {
+        await this.http.get(`${this.options.baseUrl}/api/v3/ping`, { weight: 1 });
+    }
+
+    async listSymbols() {
+        const exchangeInfo = await this.http.get(`${this.options.baseUrl}/api/v3/exchangeInfo`, { weight: 20 });
+        return BinanceAdapter.parseSymbols(exchangeInfo);
+    }
+
+    /**
+     * Convert a Binance exchangeInfo payload into symbol descriptions
+     * @param {Object} exchangeInfo - Body of /api/v3/exchangeInfo
+     * @returns {Array<Object>} Symbol descriptions
+     */
+    static parseSymbols(exchangeInfo) {
+        return exchangeInfo.symbols.map(info => {
+            const priceFilter = info.filters.find(f => f.filterType === 'PRICE_FILTER') || {};
+            const lotSize = info.filters.find(f => f.filterType === 'LOT_SIZE') || {};
+
+            return {
+                symbol: info.symbol,
+                baseAsset: info.baseAsset,
+                quoteAsset: info.quoteAsset,
+                status: info.status,
+                tickSize: priceFilter.tickSize !== undefined ? parseFloat(priceFilter.tickSize) : null,
+                stepSize: lotSize.stepSize !== undefined ? parseFloat(lotSize.stepSize) : null
+            };
+        });
+    }
+}
+
+module.exports = BinanceAdapter;
@@ -0,0 +1,168 @@
+/**
+ * Bybit Exchange Adapter
+ * Reads spot klines and instrument info from the Bybit v5 REST API.
+ */
+const ExchangeAdapter = require('./base');
+const UpstreamClient = require('../upstream');
+const { ApiError } = require('../errors');
+const { INTERVAL_MS } = require('../candles');
+const { logger } = require('../logger');
+
+// Bybit drops public connections that stay silent for more than 30s
+const PING_INTERVAL_MS = 20000;
+
+// Bybit expresses intervals in minutes, or D/W/M for the larger ones
+const BYBIT_INTERVALS = {
+    '1m': '1', '3m': '3', '5m': '5', '15m': '15', '30m': '30',
+    '1h': '60', '2h': '120', '4h': '240', '6h': '360', '12h': '720',
+    '1d': 'D', '1w': 'W', '1M': 'M'
+};
+
+class BybitAdapter extends ExchangeAdapter {
+    /**
+     * Create a Bybit adapter
+     * @param {Object} options - Adapter options
+     * @param {string} [options.baseUrl] - REST API base URL
+     * @param {string} [options.streamUrl] - WebSocket stream URL
+     */
+    constructor(options = {}) {
+        super({
+            baseUrl: 'https://api.bybit.com',
+            streamUrl: 'wss://stream.bybit.com/v5/public/spot',
+            ...options
+        });
+
+        this.http = new UpstreamClient({
+            name: this.name,
+            remaining: { header: 'x-bapi-limit-status', resetHeader: 'x-bapi-limit-reset-timestamp' }
+        });
+    }
+
+    get id() {
+        return 'bybit';
+    }
+
+    get name() {
+        return 'Bybit';
+    }
+
+    get intervals() {
+        return BYBIT_INTERVALS;
+    }
+
+    /**
+     * Unwrap a Bybit v5 response envelope
+     * @param {Object} data - Response body
+     * @returns {Object} The `result` payload
+     * @throws {ApiError} If Bybit reports a non-zero return code
+     * @private
+     */
+    _unwrap(data) {
+        if (data.retCode !== 0) {
+            logger.error('Bybit returned an error', { retCode: data.retCode, retMsg: data.retMsg });
+
+            // 10006: too many visits
+            if (data.retCode === 10006) {
+                throw new ApiError(429, 'RATE_LIMITED', 'The exchange is rate limiting requests, please retry later');
+            }
+            throw new ApiError(502, 'UPSTREAM_ERROR', 'The exchange did not return valid data');
+        }
+        return data.result;
+    }
+
+    async fetchCandles(symbol, interval, { limit, startTime, endTime }) {
+        const intervalMs = INTERVAL_MS[interval];
+        const data = await this.http.get(`${this.options.baseUrl}/v5/market/kline`, {
+            params: {
+                category: 'spot',
+                symbol,
+                interval: this.normalizeInterval(interval),
+                limit,
+                start: startTime,
+                end: endTime
+            }
+        });
+
+        // Bybit returns newest first: [startTime, open, high, low, close, volume, turnover]
+        return this._unwrap(data).list
+            .map(row => {
+                const timestamp = parseInt(row[0], 10);
+                return {
+                    timestamp,
+                    date: new Date(timestamp).toISOString(),
+                    open: parseFloat(row[1]),
+                    high: parseFloat(row[2]),
+                    low: parseFloat(row[3]),
+                    close: parseFloat(row[4]),
+                    volume: parseFloat(row[5]),
+                    closeTime: timestamp + intervalMs - 1,
+                    quoteVolume: parseFloat(row[6]),
+                    trades: null
+                };
+            })
+            .reverse();
+    }
+
+    subscribeCandles(symbol, interval, onCandle) {
+        const topic = `kline.${this.normalizeInterval(interval)}.${symbol}`;
+        let pingTimer = null;
+
+        const close = this._openSocket(this.options.streamUrl, {
+            onOpen: (socket) => {
+                socket.send(JSON.stringify({ op: 'subscribe', args: [topic] }));
+
+                clearInterval(pingTimer);
+                pingTimer = setInterval(() => {
+                    if (socket.readyState === socket.OPEN) {
+                        socket.send(JSON.stringify({ op: 'ping' }));
+                    }
+                }, PING_INTERVAL_MS);
+            },
+            onMessage: (message) => {
+                if (message.topic !== topic) return;
+
+                for (const k of message.data) {
+                    onCandle({
+                        timestamp: k.start,
+                        date: new Date(k.start).toISOString(),
+                        open: parseFloat(k.open),
+                        high: parseFloat(k.high),
+                        low: parseFloat(k.low),
+                        close: parseFloat(k.close),
+                        volume: parseFloat(k.volume),
+                        closeTime: k.end,
+                        quoteVolume: parseFloat(k.turnover),
+                        trades: null,
+                        closed: k.confirm
+                    });
+                }
+            }
+        });
+
+        return () => {
+            clearInterval(pingTimer);
+            close();
+        };
+    }
+
+    async ping() {
+        this._unwrap(await this.http.get(`${this.options.baseUrl}/v5/market/time`));
+    }
+
+    async listSymbols() {
+        const data = await this.http.get(`${this.options.baseUrl}/v5/market/instruments-info`, {
+            params: { category: 'spot' }
+        });
+
+        return this._unwrap(data).list.map(info => ({
+            symbol: info.symbol,
+            baseAsset: info.baseCoin,
+            quoteAsset: info.quoteCoin,
+            status: info.status === 'Trading' ? 'TRADING' : info.status.toUpperCase(),
+            tickSize: info.priceFilter ? parseFloat(info.priceFilter.tickSize) : null,
+            stepSize: info.lotSizeFilter ? parseFloat(info.lotSizeFilter.basePrecision) : null
+        }));
+    }
+}
+
+module.exports = BybitAdapter;
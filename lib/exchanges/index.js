@@ -0,0 +1,41 @@
+// Registry of available exchange adapters
+const BinanceAdapter = require('./binance');
+const BybitAdapter = require('./bybit');
+const LocalAdapter = require('./local');
+
+const DEFAULT_EXCHANGE = 'binance';
+
+/** @type {Object<string, import('./base')>} Adapter instances by id */
+const adapters = {};
+
+// Binance can be pointed elsewhere, e.g. at the mock server the integration tests use
+const binanceOptions = {};
+if (process.env.BINANCE_API_URL) binanceOptions.baseUrl = process.env.BINANCE_API_URL;
+if (process.env.BINANCE_STREAM_URL) binanceOptions.streamUrl = process.env.BINANCE_STREAM_URL;
+
+for (const adapter of [new BinanceAdapter(binanceOptions), new BybitAdapter(), new LocalAdapter()]) {
+    adapters[adapter.id] = adapter;
+}
+
+/**
+ * Get an adapter by id
+ * @param {string} id - Adapter id (e.g. "binance")
+ * @returns {import('./base')|null} Adapter or null if unknown
+ */
+function getExchange(id) {
+    return adapters[id] || null;
+}
+
+/**
+ * List all registered adapters
+ * @returns {Array<import('./base')>} Adapters
+ */
+function listExchanges() {
+    return Object.values(adapters);
+}
+
+module.exports = {
+    DEFAULT_EXCHANGE,
+    getExchange,
+    listExchanges
+};
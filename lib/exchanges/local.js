@@ -0,0 +1,224 @@
+/**
+ * Local Exchange Adapter
+ * Serves recorded Binance klines from JSON fixtures so the app can be
+ * developed and tested without network access.
+ *
+ * Fixtures live in `<fixturesDir>/klines/<SYMBOL>-<interval>.json` (raw
+ * /api/v3/klines payloads) and `<fixturesDir>/exchange-info.json`
+ * (a raw /api/v3/exchangeInfo payload). Intervals without their own fixture
+ * are aggregated from the largest recorded interval that fits evenly; weeks
+ * start on Monday and months are calendar months, as on the exchanges. Only
+ * intervals the recorded ones can produce are listed as supported.
+ *
+ * Live updates come from a stub stream that random-walks the close of the
+ * last recorded candle and rolls over to a new candle every few ticks.
+ */
+const fs = require('fs');
+const path = require('path');
+const ExchangeAdapter = require('./base');
+const BinanceAdapter = require('./binance');
+const { ApiError } = require('../errors');
+const { INTERVAL_MS, fromBinanceKline, aggregateCandlesBy } = require('../candles');
+const { parseInterval, createBucketOf } = require('../intervals');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Exchange candles are aligned to UTC midnight
+const UTC_ALIGNMENT = { timezone: 'UTC', sessionStart: 0 };
+
+/**
+ * Whether candles of one interval can be aggregated into another
+ * Weeks and months start on day boundaries, so any source dividing a day builds them.
+ * @param {string} source - Recorded interval
+ * @param {string} target - Wanted interval
+ * @returns {boolean} True if the source builds the target
+ */
+function canBuild(source, target) {
+    const sourceMs = INTERVAL_MS[source];
+    const targetMs = INTERVAL_MS[target];
+    if (sourceMs >= targetMs) return false;
+
+    const { unit } = parseInterval(target);
+    return unit === 'w' || unit === 'M' ? DAY_MS % sourceMs === 0 : targetMs % sourceMs === 0;
+}
+
+class LocalAdapter extends ExchangeAdapter {
+    /**
+     * Create a local fixture adapter
+     * @param {Object} options - Adapter options
+     * @param {string} [options.fixturesDir] - Directory holding the fixtures
+     * @param {number} [options.streamTickMs] - Delay between stub stream updates
+     * @param {number} [options.ticksPerCandle] - Stub stream updates before a candle closes
+     */
+    constructor(options = {}) {
+        super({
+            fixturesDir: path.join(__dirname, '..', '..', 'fixtures'),
+            streamTickMs: 1000,
+            ticksPerCandle: 30,
+            ...options
+        });
+
+        /** @type {Map<string, import('../candles').Candle[]>} Loaded fixture files */
+        this.loaded = new Map();
+
+        /** @type {Object<string, string>|null} Intervals the fixtures can produce, listed on first use */
+        this.supported = null;
+    }
+
+    get id() {
+        return 'local';
+    }
+
+    get name() {
+        return 'Local fixtures';
+    }
+
+    get intervals() {
+        if (!this.supported) {
+            const recorded = this._recordedIntervals();
+            this.supported = Object.keys(INTERVAL_MS)
+                .filter(interval => recorded.some(source => source === interval || canBuild(source, interval)))
+                .reduce((map, interval) => {
+                    map[interval] = interval;
+                    return map;
+                }, {});
+        }
+        return this.supported;
+    }
+
+    get persistent() {
+        // The fixtures already are on disk
+        return false;
+    }
+
+    get maxLimit() {
+        // Fixtures are in memory, so there is no reason to page
+        return Infinity;
+    }
+
+    /**
+     * Intervals with at least one kline fixture
+     * @returns {string[]} Canonical intervals
+     * @private
+     */
+    _recordedIntervals() {
+        const dir = path.join(this.options.fixturesDir, 'klines');
+        const files = fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+
+        const intervals = new Set(files
+            .map(file => /^[A-Z0-9]+-(\w+)\.json$/.exec(file))
+            .filter(match => match && INTERVAL_MS[match[1]] !== undefined)
+            .map(match => match[1]));
+        return [...intervals];
+    }
+
+    /**
+     * Read a kline fixture file, or null if there is none
+     * @param {string} symbol - Trading pair symbol
+     * @param {string} interval - Canonical interval
+     * @returns {import('../candles').Candle[]|null} Candles
+     * @private
+     */
+    _readFixture(symbol, interval) {
+        const key = `${symbol}-${interval}`;
+        if (this.loaded.has(key)) {
+            return this.loaded.get(key);
+        }
+
+        const file = path.join(this.options.fixturesDir, 'klines', `${key}.json`);
+        if (!fs.existsSync(file)) {
+            return null;
+        }
+
+        const candles = JSON.parse(fs.readFileSync(file, 'utf8')).map(fromBinanceKline);
+        this.loaded.set(key, candles);
+        return candles;
+    }
+
+    /**
+     * Load candles for an interval, aggregating from a smaller recorded interval if needed
+     * @param {string} symbol - Trading pair symbol
+     * @param {string} interval - Canonical interval
+     * @returns {import('../candles').Candle[]} Candles
+     * @throws {ApiError} 404 if no fixture of the symbol can produce the interval
+     * @private
+     */
+    _loadSeries(symbol, interval) {
+        const exact = this._readFixture(symbol, interval);
+        if (exact) {
+            return exact;
+        }
+
+        const sources = Object.keys(INTERVAL_MS)
+            .filter(source => canBuild(source, interval))
+            .sort((a, b) => INTERVAL_MS[b] - INTERVAL_MS[a]);
+
+        for (const source of sources) {
+            const candles = this._readFixture(symbol, source);
+            if (candles) {
+                return aggregateCandlesBy(candles, createBucketOf(parseInterval(interval), UTC_ALIGNMENT));
+            }
+        }
+
+        throw new ApiError(404, 'SYMBOL_NOT_FOUND', `No local fixture for ${symbol} ${interval}`, 'symbol');
+    }
+
+    async fetchCandles(symbol, interval, { limit, startTime, endTime }) {
+        this.normalizeInterval(interval);
+        const candles = this._loadSeries(symbol, interval).filter(candle =>
+            (startTime === undefined || candle.timestamp >= startTime) &&
+            (endTime === undefined || candle.timestamp <= endTime)
+        );
+
+        // Like the exchanges: a start time anchors the page at the oldest candle
+        return startTime !== undefined ? candles.slice(0, limit) : candles.slice(-limit);
+    }
+
+    subscribeCandles(symbol, interval, onCandle) {
+        this.normalizeInterval(interval);
+        const series = this._loadSeries(symbol, interval);
+        const bucketOf = createBucketOf(parseInterval(interval), UTC_ALIGNMENT);
+
+        let candle = { ...series[series.length - 1] };
+        let ticks = 0;
+
+        const timer = setInterval(() => {
+            ticks++;
+
+            // Random walk of up to ±0.1% per tick
+            const close = candle.close * (1 + (Math.random() - 0.5) * 0.002);
+            candle.close = close;
+            candle.high = Math.max(candle.high, close);
+            candle.low = Math.min(candle.low, close);
+            candle.volume += Math.random() * 0.01 * candle.volume;
+
+            const closed = ticks % this.options.ticksPerCandle === 0;
+            onCandle({ ...candle, closed });
+
+            if (closed) {
+                const timestamp = candle.closeTime + 1;
+                candle = {
+                    timestamp,
+                    date: new Date(timestamp).toISOString(),
+                    open: close,
+                    high: close,
+                    low: close,
+                    close,
+                    volume: 0,
+                    closeTime: bucketOf(timestamp).end,
+                    quoteVolume: candle.quoteVolume === null ? null : 0,
+                    trades: candle.trades === null ? null : 0
+                };
+            }
+        }, this.options.streamTickMs);
+
+        return () => clearInterval(timer);
+    }
+
+    async listSymbols() {
+        const file = path.join(this.options.fixturesDir, 'exchange-info.json');
+        return BinanceAdapter.parseSymbols(JSON.parse(fs.readFileSync(file, 'utf8')));
+    }
+}
+
+module.exports = LocalAdapter;
@@ -0,0 +1,69 @@
+// Serialization of candle series for download
+// Columns and CSV quoting are shared with the page, which builds its own downloads alike
+const { CANDLE_COLUMNS, toCsv } = require('../public/shared-utils');
+
+/**
+ * Export formats, keyed by the `format` query value
+ * `serialize` turns rows into the response body, keeping only the given columns.
+ * @type {Object<string, {contentType: string, serialize: function(Object[], string[]): string}>}
+ */
+const EXPORT_FORMATS = {
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        serialize(rows, columns) {
+            return toCsv(rows, columns);
+        }
+    },
+
+    json: {
+        contentType: 'application/json; charset=utf-8',
+        serialize(rows, columns) {
+            return JSON.stringify(rows.map(row => pick(row, columns)));
+        }
+    },
+
+    ndjson: {
+        contentType: 'application/x-ndjson; charset=utf-8',
+        serialize(rows, columns) {
+            return rows.map(row => JSON.stringify(pick(row, columns)) + '\n').join('');
+        }
+    }
+};
+
+/**
+ * Copy the given columns of a row
+ * @param {Object} row - Source row
+ * @param {string[]} columns - Columns to keep
+ * @returns {Object} Row with only those columns
+ */
+function pick(row, columns) {
+    const result = {};
+    for (const column of columns) result[column] = row[column] === undefined ? null : row[column];
+    return result;
+}
+
+/**
+ * Build a download file name for a series
+ * Expression symbols are reduced to characters that are safe in file names.
+ * @param {string} symbol - Symbol or symbol expression
+ * @param {string} interval - Interval
+ * @param {Object[]} rows - Exported rows, with a `timestamp` each
+ * @param {string} format - Key of EXPORT_FORMATS, used as the extension
+ * @returns {string} File name such as `BTCUSDT-1d-20250101-20250301.csv`
+ */
+function exportFilename(symbol, interval, rows, format) {
+    const day = (time) => new Date(time).toISOString().slice(0, 10).replace(/-/g, '');
+    const parts = [symbol.replace(/[^A-Za-z0-9.]+/g, '_'), interval];
+
+    if (rows.length > 0) {
+        parts.push(day(rows[0].timestamp), day(rows[rows.length - 1].timestamp));
+    }
+
+    return `${parts.join('-')}.${format}`;
+}
+
+module.exports = {
+    CANDLE_COLUMNS,
+    EXPORT_FORMATS,
+    exportFilename
+};
@@ -0,0 +1,109 @@
+/**
+ * Health Router
+ * Liveness and readiness probes for Docker and load balancers.
+ *
+ *   GET /healthz   the process is up and serving requests
+ *   GET /readyz    the server can serve fresh data: the exchange answers, the
+ *                  candle store is writable and the server is not shutting down
+ *
+ * Readiness answers 503 with the failing checks when it is not ready. The
+ * exchange is pinged at most every UPSTREAM_CHECK_TTL_MS, so frequent probes
+ * do not spend upstream request weight.
+ */
+const fs = require('fs');
+const Router = require('@koa/router');
+
+// How long an upstream check result is reused
+const UPSTREAM_CHECK_TTL_MS = 30 * 1000;
+
+// Longest a probe waits for an upstream check before reporting it as failed
+const UPSTREAM_CHECK_TIMEOUT_MS = 3000;
+
+/**
+ * Create the health router
+ * @param {Object} deps - Dependencies
+ * @param {import('./exchanges/base')} deps.exchange - Exchange whose reachability gates readiness
+ * @param {import('./candle-store')} deps.candleStore - Persistent candle store
+ * @param {import('node-cache')} deps.cache - In-memory cache
+ * @param {function(): boolean} deps.isShuttingDown - Whether the server is draining
+ * @returns {Router} Router with /healthz and /readyz
+ */
+function createHealthRouter({ exchange, candleStore, cache, isShuttingDown }) {
+    const router = new Router();
+
+    /** @type {{ok: boolean, error: string|null, checkedAt: string|null}} Last upstream check */
+    let upstream = { ok: false, error: 'Waiting for the first check', checkedAt: null };
+    let checkedAt = 0;
+
+    /** @type {Promise<void>|null} Upstream check in flight */
+    let pending = null;
+
+    /**
+     * Get the upstream state, pinging the exchange if the last check is too old
+     * @returns {Promise<Object>} Upstream check result
+     */
+    async function checkUpstream() {
+        if (!pending && Date.now() - checkedAt >= UPSTREAM_CHECK_TTL_MS) {
+            pending = exchange.ping()
+                .then(() => ({ ok: true, error: null }), error => ({ ok: false, error: error.message }))
+                .then(result => {
+                    checkedAt = Date.now();
+                    upstream = { ...result, checkedAt: new Date(checkedAt).toISOString() };
+                    pending = null;
+                });
+        }
+
+        if (pending) {
+            let timer;
+            const timeout = new Promise(resolve => { timer = setTimeout(resolve, UPSTREAM_CHECK_TIMEOUT_MS); });
+            await Promise.race([pending, timeout]);
+            clearTimeout(timer);
+        }
+
+        return { exchange: exchange.id, ...upstream };
+    }
+
+    /**
+     * Check that closed candles can be persisted
+     * @returns {{ok: boolean, error: string|null, series: number}} Store check result
+     */
+    function checkStore() {
+        try {
+            fs.mkdirSync(candleStore.dir, { recursive: true });
+            fs.accessSync(candleStore.dir, fs.constants.W_OK);
+            return { ok: true, error: null, series: candleStore.listSeries().length };
+        } catch (error) {
+            return { ok: false, error: error.message, series: null };
+        }
+    }
+
+    router.get('/healthz', (ctx) => {
+        ctx.set('Cache-Control', 'no-store');
+        ctx.body = { status: 'ok', uptime: Math.round(process.uptime()) };
+    });
+
+    router.get('/readyz', async (ctx) => {
+        const stats = cache.getStats();
+        const checks = {
+            upstream: await checkUpstream(),
+            store: checkStore(),
+            cache: { ok: true, keys: stats.keys, hits: stats.hits, misses: stats.misses }
+        };
+
+        const shuttingDown = isShuttingDown();
+        const ready = !shuttingDown && Object.values(checks).every(check => check.ok);
+
+        ctx.set('Cache-Control', 'no-store');
+        ctx.status = ready ? 200 : 503;
+        ctx.body = {
+            status: shuttingDown ? 'shutting_down' : (ready ? 'ready' : 'not_ready'),
+            checks
+        };
+    });
+
+    return router;
+}
+
+module.exports = {
+    createHealthRouter
+};
@@ -0,0 +1,271 @@
+/**
+ * Technical indicators
+ * Each indicator takes a candle series and returns one point per candle,
+ * aligned by timestamp. Points before the indicator has enough history
+ * (the warm-up period) carry null values.
+ */
+
+// Exponential and Wilder smoothing keep some weight on their seed; after this
+// many periods it is below 1%, so the values match a longer series
+const SMOOTHING_WARMUP_PERIODS = 5;
+
+/**
+ * Simple moving average
+ * @param {number[]} values - Input values
+ * @param {number} period - Window length
+ * @returns {(number|null)[]} Average of each window, null during warm-up
+ */
+function sma(values, period) {
+    const result = new Array(values.length).fill(null);
+    let sum = 0;
+
+    for (let i = 0; i < values.length; i++) {
+        sum += values[i];
+        if (i >= period) sum -= values[i - period];
+        if (i >= period - 1) result[i] = sum / period;
+    }
+
+    return result;
+}
+
+/**
+ * Exponential moving average, seeded with the SMA of the first window
+ * Leading nulls in the input (e.g. another indicator's warm-up) are skipped.
+ * @param {(number|null)[]} values - Input values
+ * @param {number} period - Window length
+ * @returns {(number|null)[]} Smoothed values, null during warm-up
+ */
+function ema(values, period) {
+    const result = new Array(values.length).fill(null);
+    const first = values.findIndex(value => value !== null);
+    if (first === -1 || values.length - first < period) return result;
+
+    const k = 2 / (period + 1);
+    let previous = 0;
+    for (let i = first; i < first + period; i++) previous += values[i];
+    previous /= period;
+    result[first + period - 1] = previous;
+
+    for (let i = first + period; i < values.length; i++) {
+        previous = values[i] * k + previous * (1 - k);
+        result[i] = previous;
+    }
+
+    return result;
+}
+
+/**
+ * Wilder's smoothing: a running average where each new value weighs 1/period
+ * @param {number[]} values - Input values
+ * @param {number} period - Window length
+ * @param {number} start - Index of the first value to smooth
+ * @returns {(number|null)[]} Smoothed values, null before start + period - 1
+ */
+function wilder(values, period, start) {
+    const result = new Array(values.length).fill(null);
+    if (values.length - start < period) return result;
+
+    let previous = 0;
+    for (let i = start; i < start + period; i++) previous += values[i];
+    previous /= period;
+    result[start + period - 1] = previous;
+
+    for (let i = start + period; i < values.length; i++) {
+        previous = (previous * (period - 1) + values[i]) / period;
+        result[i] = previous;
+    }
+
+    return result;
+}
+
+/**
+ * Relative strength index with Wilder's smoothing
+ * @param {number[]} closes - Close prices
+ * @param {number} period - Window length
+ * @returns {(number|null)[]} RSI between 0 and 100, null during warm-up
+ */
+function rsi(closes, period) {
+    const gains = closes.map((close, i) => i === 0 ? 0 : Math.max(close - closes[i - 1], 0));
+    const losses = closes.map((close, i) => i === 0 ? 0 : Math.max(closes[i - 1] - close, 0));
+
+    // The first close has no change, so smoothing starts at the second one
+    const avgGain = wilder(gains, period, 1);
+    const avgLoss = wilder(losses, period, 1);
+
+    return avgGain.map((gain, i) => {
+        if (gain === null) return null;
+        if (avgLoss[i] === 0) return 100;
+        return 100 - 100 / (1 + gain / avgLoss[i]);
+    });
+}
+
+/**
+ * Population standard deviation of each window
+ * @param {number[]} values - Input values
+ * @param {number} period - Window length
+ * @param {(number|null)[]} means - SMA of the same values and period
+ * @returns {(number|null)[]} Standard deviations, null during warm-up
+ */
+function rollingStdDev(values, period, means) {
+    return means.map((mean, i) => {
+        if (mean === null) return null;
+
+        let sum = 0;
+        for (let j = i - period + 1; j <= i; j++) sum += (values[j] - mean) ** 2;
+        return Math.sqrt(sum / period);
+    });
+}
+
+/**
+ * Indicator definitions
+ * `params` declares each query parameter with its default and allowed range;
+ * `warmup` the number of earlier candles needed before the first point is
+ * exact; `compute` returns one object of output fields per candle.
+ * @type {Object<string, {description: string, params: Object<string, {default: number, min: number, max: number, integer: boolean}>, warmup: function(Object): number, compute: function(Object[], Object): Object[]}>}
+ */
+const INDICATORS = {
+    sma: {
+        description: 'Simple moving average of closes',
+        params: { period: { default: 20, min: 1, max: 1000, integer: true } },
+        warmup: ({ period }) => period - 1,
+        compute(candles, { period }) {
+            return sma(candles.map(c => c.close), period).map(value => ({ value }));
+        }
+    },
+
+    ema: {
+        description: 'Exponential moving average of closes',
+        params: { period: { default: 20, min: 1, max: 1000, integer: true } },
+        warmup: ({ period }) => period * SMOOTHING_WARMUP_PERIODS,
+        compute(candles, { period }) {
+            return ema(candles.map(c => c.close), period).map(value => ({ value }));
+        }
+    },
+
+    rsi: {
+        description: 'Relative strength index (Wilder)',
+        params: { period: { default: 14, min: 2, max: 1000, integer: true } },
+        warmup: ({ period }) => period * SMOOTHING_WARMUP_PERIODS + 1,
+        compute(candles, { period }) {
+            return rsi(candles.map(c => c.close), period).map(value => ({ value }));
+        }
+    },
+
+    macd: {
+        description: 'Moving average convergence/divergence with signal line and histogram',
+        params: {
+            fast: { default: 12, min: 1, max: 1000, integer: true },
+            slow: { default: 26, min: 1, max: 1000, integer: true },
+            signal: { default: 9, min: 1, max: 1000, integer: true }
+        },
+        warmup: ({ slow, signal }) => (slow + signal) * SMOOTHING_WARMUP_PERIODS,
+        compute(candles, { fast, slow, signal }) {
+            const closes = candles.map(c => c.close);
+            const fastEma = ema(closes, fast);
+            const slowEma = ema(closes, slow);
+            const macdLine = fastEma.map((value, i) =>
+                value === null || slowEma[i] === null ? null : value - slowEma[i]);
+            const signalLine = ema(macdLine, signal);
+
+            return macdLine.map((macd, i) => ({
+                macd,
+                signal: signalLine[i],
+                histogram: macd === null || signalLine[i] === null ? null : macd - signalLine[i]
+            }));
+        }
+    },
+
+    bollinger: {
+        description: 'Bollinger Bands: SMA of closes plus/minus a multiple of their standard deviation',
+        params: {
+            period: { default: 20, min: 2, max: 1000, integer: true },
+            stdDev: { default: 2, min: 0.1, max: 10, integer: false }
+        },
+        warmup: ({ period }) => period - 1,
+        compute(candles, { period, stdDev }) {
+            const closes = candles.map(c => c.close);
+            const middle = sma(closes, period);
+            const deviations = rollingStdDev(closes, period, middle);
+
+            return middle.map((value, i) => ({
+                upper: value === null ? null : value + stdDev * deviations[i],
+                middle: value,
+                lower: value === null ? null : value - stdDev * deviations[i]
+            }));
+        }
+    },
+
+    atr: {
+        description: 'Average true range (Wilder)',
+        params: { period: { default: 14, min: 1, max: 1000, integer: true } },
+        warmup: ({ period }) => period * SMOOTHING_WARMUP_PERIODS + 1,
+        compute(candles, { period }) {
+            const trueRanges = candles.map((c, i) => {
+                if (i === 0) return c.high - c.low;
+                const previousClose = candles[i - 1].close;
+                return Math.max(c.high - c.low, Math.abs(c.high - previousClose), Math.abs(c.low - previousClose));
+            });
+
+            return wilder(trueRanges, period, 0).map(value => ({ value }));
+        }
+    },
+
+    vwap: {
+        description: 'Volume-weighted average of typical prices, cumulative from the first candle or over a rolling period',
+        params: { period: { default: 0, min: 0, max: 1000, integer: true } },
+        // period 0 is anchored at the first requested candle, so it needs no history
+        warmup: ({ period }) => Math.max(period - 1, 0),
+        compute(candles, { period }) {
+            let priceVolume = 0;
+            let volume = 0;
+
+            return candles.map((c, i) => {
+                priceVolume += (c.high + c.low + c.close) / 3 * c.volume;
+                volume += c.volume;
+
+                // period 0 anchors the average at the first candle of the series
+                if (period > 0 && i >= period) {
+                    const old = candles[i - period];
+                    priceVolume -= (old.high + old.low + old.close) / 3 * old.volume;
+                    volume -= old.volume;
+                }
+
+                if (period > 0 && i < period - 1) return { value: null };
+                return { value: volume > 0 ? priceVolume / volume : null };
+            });
+        }
+    }
+};
+
+/**
+ * Compute an indicator over a candle series
+ * @param {string} name - Indicator name (key of INDICATORS)
+ * @param {Object[]} candles - Candles in ascending time order
+ * @param {Object<string, number>} params - Validated indicator parameters
+ * @returns {Object[]} One point per candle: timestamp, date and the indicator's output fields
+ */
+function computeIndicator(name, candles, params) {
+    const points = INDICATORS[name].compute(candles, params);
+
+    return candles.map((candle, i) => ({
+        timestamp: candle.timestamp,
+        date: candle.date,
+        ...points[i]
+    }));
+}
+
+/**
+ * Number of candles an indicator needs before the first one it should be exact for
+ * @param {string} name - Indicator name (key of INDICATORS)
+ * @param {Object<string, number>} params - Validated indicator parameters
+ * @returns {number} Candle count
+ */
+function warmupCandles(name, params) {
+    return INDICATORS[name].warmup(params);
+}
+
+module.exports = {
+    INDICATORS,
+    computeIndicator,
+    warmupCandles
+};
@@ -0,0 +1,251 @@
+/**
+ * Custom intervals and timezone-aligned candles
+ * Intervals the exchange does not offer (e.g. `10m`, `6h`, `2d`), and any
+ * interval aligned to a timezone or session start other than UTC midnight,
+ * are built by aggregating the largest native interval that fits evenly.
+ *
+ * Interval syntax: a count followed by m (minutes), h (hours), d (days),
+ * w (weeks, starting Monday) or M (calendar months). Day, week and month
+ * candles start at `sessionStart` local time in `timezone`, so they follow
+ * daylight saving changes; shorter candles are fixed-length and aligned to
+ * the same local clock.
+ */
+const { ApiError } = require('./errors');
+const { INTERVAL_MS, aggregateCandlesBy } = require('./candles');
+const { logger } = require('./logger');
+
+// Timezone helpers are shared with the page, so both sides agree on candle boundaries
+const { timezoneOffset, isValidTimezone } = require('../public/shared-utils');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Length of one unit; months are calendar months, so this is their upper bound
+const UNIT_MS = {
+    m: MINUTE_MS,
+    h: 60 * MINUTE_MS,
+    d: DAY_MS,
+    w: 7 * DAY_MS,
+    M: 31 * DAY_MS
+};
+
+// 1970-01-01 was a Thursday; weeks start on Monday like the exchanges' 1w candles
+const MONDAY_EPOCH_DAY = 4;
+
+/**
+ * @typedef {Object} Alignment
+ * @property {string} timezone - IANA timezone name
+ * @property {number} sessionStart - Local time candles start at, in minutes after midnight
+ */
+
+/**
+ * @typedef {Object} IntervalPlan
+ * @property {string} interval - Requested interval
+ * @property {string} source - Native interval the candles are built from
+ * @property {number} approxMs - Candle length in milliseconds (the longest, for day-based candles)
+ * @property {function(number): {start: number, end: number}} bucketOf - Open and close time of the candle containing a time
+ */
+
+/**
+ * Split an interval into its count and unit
+ * @param {string} interval - Interval such as "10m" or "2d"
+ * @returns {{count: number, unit: string}|null} Parts, or null if malformed
+ */
+function parseInterval(interval) {
+    const match = /^([1-9]\d{0,2})([mhdwM])$/.exec(interval);
+    return match ? { count: parseInt(match[1], 10), unit: match[2] } : null;
+}
+
+/**
+ * Build the function mapping a time to its candle's open and close time
+ * @param {{count: number, unit: string}} parts - Parsed interval
+ * @param {Alignment} alignment - Timezone and session start
+ * @returns {function(number): {start: number, end: number}} Bucket lookup
+ */
+function createBucketOf({ count, unit }, { timezone, sessionStart }) {
+    const sessionMs = sessionStart * MINUTE_MS;
+
+    // Local "session clock": wall time in the timezone, shifted so sessions start at 00:00
+    const toLocal = (time) => time + timezoneOffset(timezone, time) - sessionMs;
+    const toUtc = (local) => {
+        const guess = local + sessionMs - timezoneOffset(timezone, local + sessionMs);
+        return local + sessionMs - timezoneOffset(timezone, guess);
+    };
+
+    if (unit === 'm' || unit === 'h') {
+        // Fixed length, so repeated wall-clock hours around DST changes stay separate candles
+        const bucketMs = count * UNIT_MS[unit];
+        return (time) => {
+            const local = toLocal(time);
+            const start = time - (((local % bucketMs) + bucketMs) % bucketMs);
+            return { start, end: start + bucketMs - 1 };
+        };
+    }
+
+    // Day-based candles follow the local calendar, so they can be 23 or 25 hours long
+    let startOf;
+    let next;
+    if (unit === 'M') {
+        startOf = (local) => {
+            const date = new Date(local);
+            const months = date.getUTCFullYear() * 12 + date.getUTCMonth();
+            const first = Math.floor(months / count) * count;
+            return Date.UTC(Math.floor(first / 12), first % 12, 1);
+        };
+        next = (localStart) => {
+            const date = new Date(localStart);
+            return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + count, 1);
+        };
+    } else {
+        const days = unit === 'w' ? 7 * count : count;
+        const epochDay = unit === 'w' ? MONDAY_EPOCH_DAY : 0;
+        startOf = (local) => {
+            const day = Math.floor(local / DAY_MS) - epochDay;
+            return (Math.floor(day / days) * days + epochDay) * DAY_MS;
+        };
+        next = (localStart) => localStart + days * DAY_MS;
+    }
+
+    return (time) => {
+        const localStart = startOf(toLocal(time));
+        return { start: toUtc(localStart), end: toUtc(next(localStart)) - 1 };
+    };
+}
+
+/**
+ * Whether a native interval can serve as building block for a custom interval
+ * Its candles must fit evenly into the target candles and start on their boundaries,
+ * for every UTC offset the timezone uses during the year.
+ * @param {string} source - Native interval
+ * @param {{count: number, unit: string}} parts - Parsed target interval
+ * @param {Alignment} alignment - Timezone and session start
+ * @returns {boolean} True if usable
+ * @private
+ */
+function fitsEvenly(source, { count, unit }, { timezone, sessionStart }) {
+    const sourceMs = INTERVAL_MS[source];
+
+    if (source === '1w') {
+        // Weekly candles start Monday 00:00 UTC, so they only build UTC-aligned weeks
+        return unit === 'w' && timezone === 'UTC' && sessionStart === 0;
+    }
+    if (source === '1M' || DAY_MS % sourceMs !== 0) {
+        return false;
+    }
+    if ((unit === 'm' || unit === 'h') && (count * UNIT_MS[unit]) % sourceMs !== 0) {
+        return false;
+    }
+
+    // Check the offsets in effect in winter, summer and now
+    const year = new Date().getUTCFullYear();
+    const moments = [Date.UTC(year, 0, 1), Date.UTC(year, 6, 1), Date.now()];
+    return moments.every(time => {
+        const phase = timezoneOffset(timezone, time) - sessionStart * MINUTE_MS;
+        return ((phase % sourceMs) + sourceMs) % sourceMs === 0;
+    });
+}
+
+/**
+ * Work out how to build an interval for an exchange
+ * @param {import('./exchanges/base')} exchange - Exchange adapter
+ * @param {string} interval - Requested interval
+ * @param {Alignment} alignment - Timezone and session start
+ * @returns {IntervalPlan|null} Aggregation plan, or null if the exchange serves the interval natively
+ * @throws {ApiError} 400 INVALID_INTERVAL if the interval is malformed or cannot be built
+ */
+function planInterval(exchange, interval, alignment) {
+    const isNative = Object.prototype.hasOwnProperty.call(exchange.intervals, interval);
+    if (isNative && alignment.timezone === 'UTC' && alignment.sessionStart === 0) {
+        return null;
+    }
+
+    const parts = parseInterval(interval);
+    if (!parts) {
+        throw new ApiError(400, 'INVALID_INTERVAL',
+            'interval must be a count followed by m, h, d, w or M (e.g. "10m", "2d")', 'interval');
+    }
+
+    const source = Object.keys(exchange.intervals)
+        .filter(native => INTERVAL_MS[native] !== undefined)
+        .sort((a, b) => INTERVAL_MS[b] - INTERVAL_MS[a])
+        .find(native => fitsEvenly(native, parts, alignment));
+
+    if (!source) {
+        throw new ApiError(400, 'INVALID_INTERVAL',
+            `Interval ${interval} in ${alignment.timezone} cannot be built from ${exchange.name} intervals`, 'interval');
+    }
+
+    return {
+        interval,
+        source,
+        approxMs: parts.count * UNIT_MS[parts.unit],
+        bucketOf: createBucketOf(parts, alignment)
+    };
+}
+
+/**
+ * Aggregate native candles into the candles of a plan
+ * @param {import('./candles').Candle[]} candles - Source candles in ascending time order
+ * @param {IntervalPlan} plan - Aggregation plan
+ * @returns {import('./candles').Candle[]} Aggregated candles
+ */
+function aggregateForPlan(candles, plan) {
+    return aggregateCandlesBy(candles, plan.bucketOf);
+}
+
+/**
+ * Subscribe to live updates of an aggregated series
+ * Source candles of the current bucket are loaded first, then every source
+ * update re-aggregates the bucket, so the open candle is complete from the
+ * first update on.
+ * @param {function(string, function(import('./candles').Candle): void): function(): void} subscribeSource -
+ *        Subscribes to the source interval and returns an unsubscribe function
+ * @param {function(number): Promise<import('./candles').Candle[]>} loadSince - Loads source candles from a time
+ * @param {IntervalPlan} plan - Aggregation plan
+ * @param {function(import('./candles').Candle): void} onCandle - Called with every aggregated candle update
+ * @returns {function(): void} Unsubscribe function
+ */
+function subscribeAggregated(subscribeSource, loadSince, plan, onCandle) {
+    let bucket = plan.bucketOf(Date.now());
+    let candles = new Map();
+    let loaded = false;
+
+    const emit = () => {
+        const [candle] = aggregateForPlan([...candles.values()].sort((a, b) => a.timestamp - b.timestamp), plan);
+        if (candle) onCandle(candle);
+    };
+
+    const unsubscribe = subscribeSource(plan.source, (candle) => {
+        if (candle.timestamp < bucket.start || candle.timestamp > bucket.end) {
+            bucket = plan.bucketOf(candle.timestamp);
+            candles = new Map();
+        }
+        candles.set(candle.timestamp, candle);
+        if (loaded) emit();
+    });
+
+    loadSince(bucket.start)
+        .then(history => {
+            // Live updates already received are newer than the loaded copies
+            history
+                .filter(candle => candle.timestamp >= bucket.start && candle.timestamp <= bucket.end)
+                .filter(candle => !candles.has(candle.timestamp))
+                .forEach(candle => candles.set(candle.timestamp, candle));
+        })
+        .catch(error => logger.error('Could not load the open candle', { interval: plan.interval, error }))
+        .finally(() => {
+            loaded = true;
+        });
+
+    return unsubscribe;
+}
+
+module.exports = {
+    timezoneOffset,
+    isValidTimezone,
+    parseInterval,
+    createBucketOf,
+    planInterval,
+    aggregateForPlan,
+    subscribeAggregated
+};
@@ -0,0 +1,148 @@
+/**
+ * Logger
+ * Writes one JSON object per line: `{time, level, msg, requestId?, ...fields}`.
+ * Entries below LOG_LEVEL (debug, info, warn, error or silent; info by
+ * default) are dropped. debug and info go to stdout, warn and error to stderr.
+ *
+ * Every request runs in a context carrying its correlation ID, so anything
+ * logged while handling it (upstream calls included) is tagged with the
+ * request's `requestId`. The ID is taken from a valid incoming X-Request-Id
+ * header or generated, and returned in the X-Request-Id response header.
+ */
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const DEFAULT_LEVEL = 'info';
+
+// Client-supplied request IDs are kept only if they are short and harmless in logs
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Probe and scrape routes, logged at debug so they do not drown real traffic
+const QUIET_ROUTES = new Set(['/healthz', '/readyz', '/metrics']);
+
+/**
+ * @typedef {Object} UpstreamCall
+ * @property {string} exchange - Exchange name
+ * @property {string} endpoint - URL path
+ * @property {number|null} status - HTTP status, null if no response was received
+ * @property {boolean} ok - Whether the call succeeded
+ * @property {number} durationMs - Call duration
+ */
+
+/**
+ * @typedef {Object} RequestContext
+ * @property {string} requestId - Correlation ID
+ * @property {UpstreamCall[]} upstream - Upstream calls made for the request
+ */
+
+/** @type {AsyncLocalStorage<RequestContext>} */
+const requestContext = new AsyncLocalStorage();
+
+let threshold = LEVELS[DEFAULT_LEVEL];
+setLevel(process.env.LOG_LEVEL || DEFAULT_LEVEL);
+
+/**
+ * Change the minimum level written
+ * @param {string} level - debug, info, warn, error or silent
+ */
+function setLevel(level) {
+    if (LEVELS[level] === undefined) {
+        threshold = LEVELS[DEFAULT_LEVEL];
+        write('warn', `Unknown log level ${level}, using ${DEFAULT_LEVEL}`);
+        return;
+    }
+    threshold = LEVELS[level];
+}
+
+/**
+ * Write a log entry
+ * @param {string} level - Entry level
+ * @param {string} message - What happened
+ * @param {Object} [fields] - Extra fields; Error values are written as their message
+ */
+function write(level, message, fields = {}) {
+    if (LEVELS[level] < threshold) return;
+
+    const context = requestContext.getStore();
+    const entry = { time: new Date().toISOString(), level, msg: message };
+    if (context) {
+        entry.requestId = context.requestId;
+    }
+
+    for (const [key, value] of Object.entries(fields)) {
+        entry[key] = value instanceof Error ? value.message : value;
+    }
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(JSON.stringify(entry) + '\n');
+}
+
+const logger = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+    setLevel
+};
+
+/**
+ * Note an upstream call on the current request, if there is one
+ * @param {UpstreamCall} call - Finished call
+ */
+function recordUpstreamCall(call) {
+    const context = requestContext.getStore();
+    if (context) {
+        context.upstream.push(call);
+    }
+}
+
+/**
+ * Koa middleware assigning a correlation ID and logging every request once it finishes
+ * Logs method, path, matched route, query, status, duration, cache result and the
+ * upstream calls made; the error code too when the request failed.
+ * @returns {Function} Koa middleware
+ */
+function requestLogger() {
+    return async (ctx, next) => {
+        const incoming = ctx.get('X-Request-Id');
+        const requestId = REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        const context = { requestId, upstream: [] };
+        const start = process.hrtime.bigint();
+
+        ctx.state.requestId = requestId;
+        ctx.set('X-Request-Id', requestId);
+
+        await requestContext.run(context, async () => {
+            try {
+                await next();
+            } finally {
+                const upstreamMs = context.upstream.reduce((sum, call) => sum + call.durationMs, 0);
+                const route = ctx._matchedRoute || null;
+
+                write(QUIET_ROUTES.has(route) ? 'debug' : 'info', 'request', {
+                    method: ctx.method,
+                    path: ctx.path,
+                    route,
+                    params: ctx.params && Object.keys(ctx.params).length > 0 ? ctx.params : undefined,
+                    query: Object.keys(ctx.query).length > 0 ? ctx.query : undefined,
+                    status: ctx.status,
+                    durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+                    cache: ctx.response.get('X-Cache') || undefined,
+                    stale: ctx.response.get('X-Data-Stale') === 'true' || undefined,
+                    error: ctx.state.errorCode,
+                    upstream: context.upstream.length > 0
+                        ? { calls: context.upstream.length, durationMs: upstreamMs, failed: context.upstream.filter(call => !call.ok).length }
+                        : undefined,
+                    ip: ctx.ip
+                });
+            }
+        });
+    };
+}
+
+module.exports = {
+    logger,
+    recordUpstreamCall,
+    requestLogger
+};
@@ -0,0 +1,182 @@
+/**
+ * Metrics
+ * Prometheus metrics for HTTP routes, upstream exchange calls, the caches
+ * and the Node.js process, exposed in text format on /metrics.
+ */
+const client = require('prom-client');
+
+const register = new client.Registry();
+
+// CPU, memory, event loop lag, GC and file descriptor stats
+client.collectDefaultMetrics({ register });
+
+const httpRequests = new client.Counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests handled, by route and status',
+    labelNames: ['method', 'route', 'status'],
+    registers: [register]
+});
+
+const httpDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency, by route',
+    labelNames: ['method', 'route'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [register]
+});
+
+const upstreamDuration = new client.Histogram({
+    name: 'upstream_request_duration_seconds',
+    help: 'Exchange REST call latency, by exchange, endpoint and outcome',
+    labelNames: ['exchange', 'endpoint', 'outcome'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [register]
+});
+
+const upstreamFailures = new client.Counter({
+    name: 'upstream_failures_total',
+    help: 'Failed exchange REST calls, by exchange and reason (status code, timeout or network)',
+    labelNames: ['exchange', 'endpoint', 'reason'],
+    registers: [register]
+});
+
+const cacheRequests = new client.Counter({
+    name: 'candle_cache_requests_total',
+    help: 'Candle requests answered without (hit) or with (miss) an upstream call',
+    labelNames: ['result'],
+    registers: [register]
+});
+
+const cacheWarmRuns = new client.Counter({
+    name: 'cache_warm_runs_total',
+    help: 'Background cache warm-ups, by result (ok, stale or error)',
+    labelNames: ['result'],
+    registers: [register]
+});
+
+/**
+ * Koa middleware recording request counts and latency per route
+ * Unrouted requests (static files, 404s) are grouped under one label to keep cardinality low.
+ * @returns {Function} Koa middleware
+ */
+function metricsMiddleware() {
+    return async (ctx, next) => {
+        const end = httpDuration.startTimer();
+
+        try {
+            await next();
+        } finally {
+            const route = ctx._matchedRoute || (ctx.status === 404 ? 'unmatched' : 'static');
+            end({ method: ctx.method, route });
+            httpRequests.inc({ method: ctx.method, route, status: ctx.status });
+        }
+    };
+}
+
+/**
+ * Time an upstream call and count its failures
+ * @param {string} exchange - Exchange name
+ * @param {string} url - Request URL (only the path is used as the label)
+ * @param {function(): Promise<any>} fn - The call
+ * @returns {Promise<any>} The call's result
+ */
+async function observeUpstream(exchange, url, fn) {
+    const endpoint = new URL(url).pathname;
+    const end = upstreamDuration.startTimer({ exchange, endpoint });
+
+    try {
+        const result = await fn();
+        end({ outcome: 'success' });
+        return result;
+    } catch (error) {
+        end({ outcome: 'failure' });
+
+        let reason = 'network';
+        if (error.response) reason = String(error.response.status);
+        else if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') reason = 'timeout';
+
+        upstreamFailures.inc({ exchange, endpoint, reason });
+        throw error;
+    }
+}
+
+/**
+ * Count a candle request as a cache hit or miss
+ * @param {boolean} hit - Whether it was answered without an upstream call
+ */
+function recordCacheResult(hit) {
+    cacheRequests.inc({ result: hit ? 'hit' : 'miss' });
+}
+
+/**
+ * Count a background cache warm-up
+ * @param {('ok'|'stale'|'error')} result - Outcome
+ */
+function recordCacheWarm(result) {
+    cacheWarmRuns.inc({ result });
+}
+
+/**
+ * Register gauges that read cache, store and stream state at scrape time
+ * @param {Object} sources - State sources
+ * @param {import('node-cache')} sources.cache - In-memory cache
+ * @param {import('./candle-store')} sources.candleStore - Persistent candle store
+ * @param {import('./stream-hub')} sources.streamHub - Live stream hub
+ */
+function registerStateMetrics({ cache, candleStore, streamHub }) {
+    new client.Gauge({
+        name: 'memory_cache_keys',
+        help: 'Keys in the in-memory cache',
+        registers: [register],
+        collect() {
+            this.set(cache.keys().length);
+        }
+    });
+
+    new client.Gauge({
+        name: 'memory_cache_lookups',
+        help: 'In-memory cache lookups since start, by result',
+        labelNames: ['result'],
+        registers: [register],
+        collect() {
+            const stats = cache.getStats();
+            this.set({ result: 'hit' }, stats.hits);
+            this.set({ result: 'miss' }, stats.misses);
+        }
+    });
+
+    new client.Gauge({
+        name: 'candle_store_candles',
+        help: 'Closed candles persisted on disk, by series',
+        labelNames: ['series'],
+        registers: [register],
+        collect() {
+            this.reset();
+            for (const [series, candles] of candleStore.countCandles()) {
+                this.set({ series }, candles);
+            }
+        }
+    });
+
+    new client.Gauge({
+        name: 'stream_listeners',
+        help: 'Browsers connected to live candle streams, by series',
+        labelNames: ['series'],
+        registers: [register],
+        collect() {
+            this.reset();
+            for (const stream of streamHub.getStats()) {
+                this.set({ series: stream.key }, stream.listeners);
+            }
+        }
+    });
+}
+
+module.exports = {
+    register,
+    metricsMiddleware,
+    observeUpstream,
+    recordCacheResult,
+    recordCacheWarm,
+    registerStateMetrics
+};
@@ -0,0 +1,260 @@
+/**
+ * Server-side chart snapshots
+ * Renders the price chart the way the page draws it: the page's own layout,
+ * axis and price formatting scripts run against a lightweight DOM, and the
+ * resulting SVG is rasterized to PNG. The middle line and current price
+ * overlays, which the page draws as HTML labels, are drawn here as SVG with
+ * the same colors and placement.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { parseHTML } = require('linkedom');
+const { Resvg } = require('@resvg/resvg-js');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Page scripts providing ChartUtils, XAxisController and ChartLayout, in load order
+const CHART_SCRIPTS = ['shared-utils.js', 'utils.js', 'chart-plugins/x-axis.js', 'chart-plugins/chart-layout.js'];
+
+// Chart styles from public/index.html, limited to what a snapshot draws
+const CHART_CSS = `
+    .line { fill: none; stroke: #ff9900; stroke-width: 2; }
+    .area { fill: rgba(255, 153, 0, 0.1); }
+    .axis { font-size: 12px; }
+    .axis path, .axis line { fill: none; stroke: #ccc; shape-rendering: crispEdges; }
+    .grid line { fill: none; stroke: #e0e0e0; shape-rendering: crispEdges; }
+    .grid path { stroke-width: 0; }
+`;
+
+// Price line overlays as the page configures MiddleLinePlugin and CurrentPricePlugin
+const MIDDLE_LINE = { color: '#9b59b6', opacity: 0.8, bullet: false };
+const CURRENT_PRICE = { color: '#3498db', opacity: 0.85, bullet: true };
+
+// Font for text without an installed family (including generic sans-serif); the Docker image installs it
+const DEFAULT_FONT = 'DejaVu Sans';
+
+// Average glyph width of bold label text, relative to the font size
+const LABEL_GLYPH_WIDTH = 0.62;
+
+/** @type {Promise<Object>|null} */
+let chartContext = null;
+
+/**
+ * Load d3 and the page's chart scripts into a sandbox with a DOM, once
+ * @returns {Promise<Object>} Sandbox globals, including d3, document, ChartUtils and ChartLayout
+ */
+function loadChartContext() {
+    if (!chartContext) {
+        chartContext = import('d3')
+            .then(d3 => {
+                const { document } = parseHTML('<!DOCTYPE html><html><body></body></html>');
+                const sandbox = vm.createContext({ d3, document, console });
+                sandbox.window = sandbox;
+
+                for (const script of CHART_SCRIPTS) {
+                    const file = path.join(PUBLIC_DIR, script);
+                    vm.runInContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+                }
+                return sandbox;
+            })
+            .catch(error => {
+                chartContext = null;
+                throw error;
+            });
+    }
+    return chartContext;
+}
+
+/**
+ * Draw a horizontal price line with its label on the right, like PriceLinePlugin
+ * @param {Object} plot - d3 selection of the plot group
+ * @param {number} y - Vertical position of the price
+ * @param {string} text - Label text
+ * @param {{color: string, opacity: number, bullet: boolean}} style - Line style
+ * @param {{width: number, small: boolean}} layout - Plot width and whether the chart is narrow
+ */
+function drawPriceLine(plot, y, text, style, { width, small }) {
+    plot.append('line')
+        .attr('class', 'price-line')
+        .attr('x1', 0)
+        .attr('x2', width)
+        .attr('y1', y)
+        .attr('y2', y)
+        .attr('stroke', style.color)
+        .attr('stroke-width', 1)
+        .attr('stroke-dasharray', '5,3');
+
+    if (style.bullet) {
+        plot.append('circle')
+            .attr('class', 'price-line-bullet')
+            .attr('cx', width)
+            .attr('cy', y)
+            .attr('r', 4)
+            .attr('fill', style.color)
+            .attr('stroke', 'white')
+            .attr('stroke-width', 1);
+    }
+
+    const fontSize = small ? 8 : 10;
+    const padding = small ? 5 : 7;
+    const offset = small ? 8 : 10;
+    const labelWidth = text.length * fontSize * LABEL_GLYPH_WIDTH + 2 * padding;
+    const labelHeight = fontSize + 6;
+    const right = width - offset;
+
+    const label = plot.append('g')
+        .attr('class', 'price-line-label')
+        .attr('opacity', style.opacity);
+
+    label.append('rect')
+        .attr('x', right - labelWidth)
+        .attr('y', y - labelHeight / 2)
+        .attr('width', labelWidth)
+        .attr('height', labelHeight)
+        .attr('rx', 3)
+        .attr('fill', style.color);
+
+    label.append('text')
+        .attr('x', right - padding)
+        .attr('y', y)
+        .attr('text-anchor', 'end')
+        .attr('dominant-baseline', 'central')
+        .attr('fill', 'white')
+        .attr('font-family', 'sans-serif')
+        .attr('font-size', `${fontSize}px`)
+        .attr('font-weight', 'bold')
+        .text(text);
+}
+
+/**
+ * Render a line chart of candle closes as SVG markup
+ * @param {import('./candles').Candle[]} candles - Candles in ascending time order (at least one)
+ * @param {Object} options - Chart options
+ * @param {string} options.title - Title drawn in the top left corner, above the date range on the right
+ * @param {number} options.width - Image width, laid out like a chart container of that width
+ * @param {string|null} [options.timezone] - IANA timezone of the x axis labels
+ * @param {number|null} [options.tickSize] - Price increment of the symbol, for price labels
+ * @returns {Promise<string>} SVG document
+ */
+async function renderChartSvg(candles, { title, width, timezone = null, tickSize = null }) {
+    const { d3, document, ChartUtils, ChartLayout } = await loadChartContext();
+
+    const dimensions = ChartLayout.dimensions(width);
+    const { margin } = dimensions;
+    const totalWidth = dimensions.width + margin.left + margin.right;
+    const totalHeight = dimensions.height + margin.top + margin.bottom;
+    const small = width < 600;
+
+    // Same points the page charts: close prices, with the candle range for the y domain
+    const data = candles.map(candle => ({ ...candle, price: candle.close }));
+
+    const x = d3.scaleTime()
+        .domain(d3.extent(data, d => new Date(d.timestamp)))
+        .range([0, dimensions.width]);
+    const y = d3.scaleLinear()
+        .domain(ChartLayout.priceDomain(data, d => d.low, d => d.high))
+        .range([dimensions.height, 0]);
+
+    // Price labels follow the symbol's tick size; rendering is synchronous from here on
+    ChartUtils.setPriceTickSize(tickSize);
+
+    const root = d3.select(document.createElementNS(SVG_NS, 'svg'))
+        .attr('xmlns', SVG_NS)
+        .attr('width', totalWidth)
+        .attr('height', totalHeight)
+        .attr('viewBox', `0 0 ${totalWidth} ${totalHeight}`);
+
+    root.append('style').text(CHART_CSS);
+    root.append('rect')
+        .attr('width', totalWidth)
+        .attr('height', totalHeight)
+        .attr('fill', 'white');
+
+    const plot = root.append('g')
+        .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    plot.append('defs')
+        .append('clipPath')
+        .attr('id', 'chart-area-clip')
+        .append('rect')
+        .attr('width', dimensions.width)
+        .attr('height', dimensions.height);
+
+    const chartGroup = plot.append('g').attr('clip-path', 'url(#chart-area-clip)');
+    const xAxis = plot.append('g')
+        .attr('class', 'x axis')
+        .attr('transform', `translate(0,${dimensions.height})`);
+    const yAxis = plot.append('g').attr('class', 'y axis');
+    const xGrid = chartGroup.append('g').attr('class', 'grid x-grid');
+    const yGrid = chartGroup.append('g').attr('class', 'grid y-grid');
+
+    ChartLayout.renderAxes({ xAxis, yAxis, xGrid, yGrid }, { x, y }, dimensions, timezone);
+
+    plot.append('text')
+        .attr('x', 8 - margin.left)
+        .attr('y', -6)
+        .attr('font-family', 'sans-serif')
+        .attr('font-size', '12px')
+        .attr('font-weight', 'bold')
+        .attr('fill', '#333')
+        .text(title);
+
+    // Date range on the right, in the chart's timezone, so it stays clear of the title
+    const formatDate = timezone
+        ? (date) => d3.utcFormat('%d %b %H:%M')(new Date(+date + ChartUtils.timezoneOffset(timezone, +date)))
+        : (date) => ChartUtils.formatDate(date);
+    const [first, last] = x.domain();
+    plot.append('text')
+        .attr('class', 'date-range-label')
+        .attr('text-anchor', 'end')
+        .attr('transform', `translate(${dimensions.width},-6)`)
+        .attr('font-family', 'sans-serif')
+        .style('font-size', '12px')
+        .style('fill', '#888')
+        .text(`${formatDate(first)} - ${formatDate(last)}`);
+
+    chartGroup.append('path')
+        .attr('class', 'line')
+        .attr('d', d3.line()
+            .x(d => x(new Date(d.timestamp)))
+            .y(d => y(d.price))
+            .curve(d3.curveStepAfter)(data));
+    chartGroup.append('path')
+        .attr('class', 'area')
+        .attr('d', d3.area()
+            .x(d => x(new Date(d.timestamp)))
+            .y0(dimensions.height)
+            .y1(d => y(d.price))
+            .curve(d3.curveStepAfter)(data));
+
+    // Middle of the charted closes, then the current price on top
+    const [lowest, highest] = d3.extent(data, d => d.price);
+    const middle = (lowest + highest) / 2;
+    const current = data[data.length - 1].price;
+    const layout = { width: dimensions.width, small };
+    drawPriceLine(plot, y(middle), ChartUtils.formatPrice(middle), MIDDLE_LINE, layout);
+    drawPriceLine(plot, y(current), ChartUtils.formatPrice(current, undefined, { compact: small }), CURRENT_PRICE, layout);
+
+    return root.node().outerHTML;
+}
+
+/**
+ * Rasterize SVG markup to PNG
+ * @param {string} svg - SVG document
+ * @param {number} [scale=1] - Pixel ratio
+ * @returns {Buffer} PNG data
+ */
+function renderPng(svg, scale = 1) {
+    const resvg = new Resvg(svg, {
+        fitTo: { mode: 'zoom', value: scale },
+        font: { loadSystemFonts: true, defaultFontFamily: DEFAULT_FONT }
+    });
+    return resvg.render().asPng();
+}
+
+module.exports = {
+    renderChartSvg,
+    renderPng
+};
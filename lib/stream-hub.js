@@ -0,0 +1,91 @@
+/**
+ * Candle Stream Hub
+ * Keeps one upstream kline subscription per exchange/symbol/interval and
+ * fans its updates out to every connected listener. The upstream stream is
+ * opened with the first listener and closed with the last one.
+ */
+const { logger } = require('./logger');
+
+class CandleStreamHub {
+    constructor() {
+        /** @type {Map<string, {unsubscribe: function(): void, listeners: Set<Function>, lastCandle: Object|null}>} */
+        this.streams = new Map();
+    }
+
+    /**
+     * Subscribe a listener to a candle stream
+     * @param {import('./exchanges/base')} exchange - Exchange adapter
+     * @param {string} symbol - Trading pair symbol
+     * @param {string} interval - Canonical interval
+     * @param {function(Object): void} listener - Called with every candle update
+     * @returns {function(): void} Unsubscribe function
+     * @throws {Error} If the exchange cannot stream this series
+     */
+    subscribe(exchange, symbol, interval, listener) {
+        const key = `${exchange.id}:${symbol}-${interval}`;
+        let stream = this.streams.get(key);
+
+        if (!stream) {
+            const listeners = new Set();
+            stream = { listeners, lastCandle: null, unsubscribe: null };
+
+            stream.unsubscribe = exchange.subscribeCandles(symbol, interval, (candle) => {
+                stream.lastCandle = candle;
+                for (const fn of listeners) {
+                    // One failing listener must not starve the others
+                    try {
+                        fn(candle);
+                    } catch (error) {
+                        logger.error('Stream listener failed', { stream: key, error });
+                    }
+                }
+            });
+
+            this.streams.set(key, stream);
+        }
+
+        stream.listeners.add(listener);
+
+        // Give late joiners the latest state right away
+        if (stream.lastCandle) {
+            listener(stream.lastCandle);
+        }
+
+        // Safe to call more than once; never touches a newer stream under the same key
+        let done = false;
+        return () => {
+            if (done) return;
+            done = true;
+
+            stream.listeners.delete(listener);
+            // A stream no longer in the map was already closed (closeAll)
+            if (stream.listeners.size === 0 && this.streams.get(key) === stream) {
+                stream.unsubscribe();
+                this.streams.delete(key);
+            }
+        };
+    }
+
+    /**
+     * Get statistics about open streams
+     * @returns {Array<{key: string, listeners: number}>} Open streams
+     */
+    getStats() {
+        return [...this.streams.entries()].map(([key, stream]) => ({
+            key,
+            listeners: stream.listeners.size
+        }));
+    }
+
+    /**
+     * Close every upstream subscription
+     */
+    closeAll() {
+        for (const stream of this.streams.values()) {
+            stream.unsubscribe();
+        }
+        this.streams.clear();
+    }
+}
+
+module.exports = CandleStreamHub;
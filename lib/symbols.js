@@ -0,0 +1,49 @@
+/**
+ * Symbol Directory
+ * Caches each exchange's symbol list so requests can be validated without
+ * an upstream call per request.
+ */
+
+// Exchange info changes rarely; refresh it hourly (in seconds)
+const SYMBOLS_TTL = 60 * 60;
+
+class SymbolDirectory {
+    /**
+     * Create a symbol directory
+     * @param {import('node-cache')} cache - Cache to keep symbol lists in
+     */
+    constructor(cache) {
+        this.cache = cache;
+    }
+
+    /**
+     * List the symbols of an exchange
+     * @param {import('./exchanges/base')} exchange - Exchange adapter
+     * @returns {Promise<Array<Object>>} Symbol descriptions
+     */
+    async list(exchange) {
+        const cacheKey = `symbols:${exchange.id}`;
+
+        const cached = this.cache.get(cacheKey);
+        if (cached) {
+            return cached;
+        }
+
+        const symbols = await exchange.listSymbols();
+        this.cache.set(cacheKey, symbols, SYMBOLS_TTL);
+        return symbols;
+    }
+
+    /**
+     * Find a symbol on an exchange
+     * @param {import('./exchanges/base')} exchange - Exchange adapter
+     * @param {string} symbol - Trading pair symbol
+     * @returns {Promise<Object|null>} Symbol description, or null if not listed
+     */
+    async find(exchange, symbol) {
+        const symbols = await this.list(exchange);
+        return symbols.find(info => info.symbol === symbol) || null;
+    }
+}
+
+module.exports = SymbolDirectory;
@@ -0,0 +1,303 @@
+/**
+ * Synthetic symbols
+ * Expression symbols such as `ETHUSDT/BTCUSDT` (ratio), `SOLUSDT-100*DOGEUSDT`
+ * (spread) or `0.5*BTCUSDT+0.5*ETHUSDT` (basket) are computed from their
+ * component series, aligned on candle open time.
+ *
+ * Grammar: numbers, symbols, + - * /, unary minus and parentheses, with the
+ * usual precedence. Whitespace is ignored. In a query string the expression
+ * must be URL-encoded, since a literal `+` decodes to a space.
+ */
+const { ApiError } = require('./errors');
+
+const MAX_EXPRESSION_LENGTH = 200;
+const MAX_COMPONENTS = 10;
+
+/**
+ * @typedef {Object} ExpressionNode
+ * @property {('number'|'symbol'|'negate'|'binary')} type - Node type
+ * @property {number} [value] - Number value
+ * @property {string} [symbol] - Component symbol
+ * @property {string} [op] - Binary operator
+ * @property {ExpressionNode} [left] - Left operand
+ * @property {ExpressionNode} [right] - Right operand
+ * @property {ExpressionNode} [operand] - Negated operand
+ */
+
+/**
+ * @typedef {Object} Expression
+ * @property {ExpressionNode} ast - Parsed expression
+ * @property {string[]} components - Distinct component symbols
+ * @property {string} text - Canonical form (no whitespace), used as the series symbol
+ */
+
+/**
+ * Whether a symbol is an expression rather than a plain trading pair
+ * @param {string} symbol - Symbol query value
+ * @returns {boolean} True if it contains anything besides letters and digits
+ */
+function isExpression(symbol) {
+    return /[^A-Za-z0-9]/.test(symbol);
+}
+
+/**
+ * Build an invalid expression error
+ * @param {string} message - What is wrong
+ * @returns {ApiError} 400 error for the symbol parameter
+ */
+function invalid(message) {
+    return new ApiError(400, 'INVALID_SYMBOL', `Invalid symbol expression: ${message}`, 'symbol');
+}
+
+/**
+ * Split an expression into number, symbol, operator and parenthesis tokens
+ * @param {string} text - Expression text
+ * @returns {string[]} Tokens
+ * @throws {ApiError} For characters outside the grammar
+ */
+function tokenize(text) {
+    const tokens = [];
+    const pattern = /\s*(\d+(?:\.\d+)?(?![A-Z0-9])|[A-Z0-9]+|[-+*/()])\s*/y;
+
+    while (pattern.lastIndex < text.length) {
+        const start = pattern.lastIndex;
+        const match = pattern.exec(text);
+        if (!match) {
+            throw invalid(`unexpected character at position ${start + 1}`);
+        }
+        tokens.push(match[1]);
+    }
+
+    return tokens;
+}
+
+/**
+ * Value of a node that involves no symbols
+ * @param {ExpressionNode} node - Expression node
+ * @returns {number|null} Constant value, or null if the node depends on a symbol
+ */
+function constantValue(node) {
+    if (node.type === 'number') return node.value;
+    if (node.type === 'symbol') return null;
+    if (node.type === 'negate') {
+        const operand = constantValue(node.operand);
+        return operand === null ? null : -operand;
+    }
+
+    const left = constantValue(node.left);
+    const right = constantValue(node.right);
+    return left === null || right === null ? null : evaluate(node, {});
+}
+
+/**
+ * Parse an expression symbol
+ * @param {string} text - Expression text
+ * @returns {Expression} Parsed expression
+ * @throws {ApiError} 400 INVALID_SYMBOL if the expression is malformed, too large or divides by zero
+ */
+function parseExpression(text) {
+    if (text.length > MAX_EXPRESSION_LENGTH) {
+        throw invalid(`longer than ${MAX_EXPRESSION_LENGTH} characters`);
+    }
+
+    const tokens = tokenize(text);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const take = () => tokens[position++];
+
+    // expression := term (('+' | '-') term)*
+    const parseSum = () => {
+        let node = parseProduct();
+        while (peek() === '+' || peek() === '-') {
+            const op = take();
+            node = { type: 'binary', op, left: node, right: parseProduct() };
+        }
+        return node;
+    };
+
+    // term := factor (('*' | '/') factor)*
+    const parseProduct = () => {
+        let node = parseFactor();
+        while (peek() === '*' || peek() === '/') {
+            const op = take();
+            node = { type: 'binary', op, left: node, right: parseFactor() };
+            if (op === '/' && constantValue(node.right) === 0) {
+                throw invalid('division by zero');
+            }
+        }
+        return node;
+    };
+
+    // factor := number | symbol | '-' factor | '(' expression ')'
+    const parseFactor = () => {
+        const token = take();
+
+        if (token === undefined) throw invalid('unexpected end of expression');
+        if (token === '-') return { type: 'negate', operand: parseFactor() };
+        if (token === '(') {
+            const node = parseSum();
+            if (take() !== ')') throw invalid('missing closing parenthesis');
+            return node;
+        }
+        if (/^\d+(\.\d+)?$/.test(token)) return { type: 'number', value: parseFloat(token) };
+        if (/^[A-Z0-9]{2,20}$/.test(token)) return { type: 'symbol', symbol: token };
+
+        throw invalid(`unexpected "${token}"`);
+    };
+
+    const ast = parseSum();
+    if (position < tokens.length) {
+        throw invalid(`unexpected "${tokens[position]}"`);
+    }
+
+    const components = [...new Set(tokens.filter(token => /^[A-Z0-9]{2,20}$/.test(token) && /[A-Z]/.test(token)))];
+    if (components.length === 0) {
+        throw invalid('no symbols');
+    }
+    if (components.length > MAX_COMPONENTS) {
+        throw invalid(`more than ${MAX_COMPONENTS} symbols`);
+    }
+
+    return { ast, components, text: tokens.join('') };
+}
+
+/**
+ * Evaluate an expression for one point in time
+ * @param {ExpressionNode} node - Expression node
+ * @param {Object<string, number>} values - Value of each component symbol
+ * @returns {number} Result (may be non-finite after a division by zero)
+ */
+function evaluate(node, values) {
+    switch (node.type) {
+        case 'number':
+            return node.value;
+        case 'symbol':
+            return values[node.symbol];
+        case 'negate':
+            return -evaluate(node.operand, values);
+        default: {
+            const left = evaluate(node.left, values);
+            const right = evaluate(node.right, values);
+            if (node.op === '+') return left + right;
+            if (node.op === '-') return left - right;
+            if (node.op === '*') return left * right;
+            return left / right;
+        }
+    }
+}
+
+/**
+ * Compute one synthetic candle from aligned component candles
+ * Open and close are exact. High and low are estimates bounded by the open,
+ * close and the expression at the components' highs and lows, because the
+ * components do not necessarily reach their extremes at the same moment.
+ * @param {Expression} expression - Parsed expression
+ * @param {Object<string, import('./candles').Candle>} candles - Component candle for each symbol
+ * @returns {import('./candles').Candle|null} Synthetic candle, or null if the result is not finite
+ */
+function combineCandle(expression, candles) {
+    const at = (field) => {
+        const values = {};
+        for (const symbol of expression.components) values[symbol] = candles[symbol][field];
+        return evaluate(expression.ast, values);
+    };
+
+    const open = at('open');
+    const close = at('close');
+    const extremes = [open, close, at('high'), at('low')];
+    if (!extremes.every(Number.isFinite)) return null;
+
+    const first = candles[expression.components[0]];
+    return {
+        timestamp: first.timestamp,
+        date: first.date,
+        open,
+        high: Math.max(...extremes),
+        low: Math.min(...extremes),
+        close,
+        volume: 0,
+        closeTime: Math.max(...expression.components.map(symbol => candles[symbol].closeTime)),
+        quoteVolume: null,
+        trades: null
+    };
+}
+
+/**
+ * Compute a synthetic series from its component series
+ * Only open times present in every component are kept. Candles whose result
+ * is not finite (a divisor reaching zero) are dropped and counted.
+ * @param {Expression} expression - Parsed expression
+ * @param {Object<string, import('./candles').Candle[]>} seriesBySymbol - Candles of each component
+ * @returns {{candles: import('./candles').Candle[], dropped: number}} Synthetic candles in ascending
+ *          time order, and the number of candles dropped as not finite
+ */
+function combineSeries(expression, seriesBySymbol) {
+    const [first, ...rest] = expression.components;
+    const lookups = rest.map(symbol => new Map(seriesBySymbol[symbol].map(candle => [candle.timestamp, candle])));
+
+    const result = [];
+    let dropped = 0;
+    for (const candle of seriesBySymbol[first]) {
+        const candles = { [first]: candle };
+        const aligned = rest.every((symbol, i) => {
+            candles[symbol] = lookups[i].get(candle.timestamp);
+            return candles[symbol] !== undefined;
+        });
+        if (!aligned) continue;
+
+        const combined = combineCandle(expression, candles);
+        if (combined) {
+            result.push(combined);
+        } else {
+            dropped++;
+        }
+    }
+
+    return { candles: result, dropped };
+}
+
+/**
+ * Subscribe to live updates of a synthetic series
+ * Each component is subscribed separately; a synthetic candle is emitted
+ * whenever the latest candles of all components share the same open time.
+ * @param {function(string, function(import('./candles').Candle): void): function(): void} subscribe -
+ *        Subscribes to one component symbol and returns an unsubscribe function
+ * @param {Expression} expression - Parsed expression
+ * @param {function(import('./candles').Candle): void} onCandle - Called with every synthetic candle update
+ * @returns {function(): void} Unsubscribe function
+ * @throws {Error} If any component cannot be streamed
+ */
+function subscribeSynthetic(subscribe, expression, onCandle) {
+    const latest = {};
+
+    const unsubscribes = [];
+    const onComponent = (symbol, candle) => {
+        latest[symbol] = candle;
+
+        const timestamps = expression.components.map(s => latest[s] && latest[s].timestamp);
+        if (timestamps.every(timestamp => timestamp === timestamps[0])) {
+            const combined = combineCandle(expression, latest);
+            if (combined) onCandle(combined);
+        }
+    };
+
+    try {
+        for (const symbol of expression.components) {
+            unsubscribes.push(subscribe(symbol, candle => onComponent(symbol, candle)));
+        }
+    } catch (error) {
+        // Release the components already subscribed
+        unsubscribes.forEach(unsubscribe => unsubscribe());
+        throw error;
+    }
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+}
+
+module.exports = {
+    isExpression,
+    parseExpression,
+    combineSeries,
+    subscribeSynthetic
+};
@@ -0,0 +1,258 @@
+/**
+ * Upstream HTTP Client
+ * Wraps axios for exchange REST calls with:
+ * - exponential backoff retries on network errors, 5xx and 429 responses
+ * - rate-limit awareness, from used-weight or remaining-requests headers
+ * - coalescing, so concurrent identical requests share one upstream call
+ * - a log entry per call, tagged with the request it was made for
+ */
+const axios = require('axios');
+const { ApiError } = require('./errors');
+const { observeUpstream } = require('./metrics');
+const { logger, recordUpstreamCall } = require('./logger');
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class UpstreamClient {
+    /**
+     * Create an upstream client
+     * @param {Object} options - Client options
+     * @param {string} options.name - Exchange name, for logs and errors
+     * @param {number} [options.retries=3] - Retries after the first attempt
+     * @param {number} [options.baseDelayMs=500] - First backoff delay, doubled on every retry
+     * @param {number} [options.maxDelayMs=8000] - Longest delay worth waiting before a retry
+     * @param {number} [options.timeoutMs=10000] - Request timeout (UPSTREAM_TIMEOUT_MS overrides the default)
+     * @param {Object} [options.weight] - Weight-based limits (Binance style)
+     * @param {string} options.weight.header - Response header with the weight used in the current window
+     * @param {number} options.weight.limit - Weight allowed per window
+     * @param {number} options.weight.windowMs - Window length
+     * @param {Object} [options.remaining] - Remaining-requests limits (Bybit style)
+     * @param {string} options.remaining.header - Response header with the requests left in the window
+     * @param {string} options.remaining.resetHeader - Response header with the window reset time in milliseconds
+     */
+    constructor(options) {
+        this.options = {
+            retries: 3,
+            baseDelayMs: 500,
+            maxDelayMs: 8000,
+            timeoutMs: parseInt(process.env.UPSTREAM_TIMEOUT_MS, 10) || 10000,
+            weight: null,
+            remaining: null,
+            ...options
+        };
+
+        /** @type {Map<string, Promise<any>>} Requests in flight, by URL and params */
+        this.inFlight = new Map();
+
+        /** @type {number} Weight used in the current window, as last reported upstream */
+        this.usedWeight = 0;
+
+        /** @type {number} Start of the current weight window */
+        this.windowStart = 0;
+
+        /** @type {number} Time until which the exchange asked us to back off */
+        this.blockedUntil = 0;
+    }
+
+    /**
+     * GET a URL, sharing the call with identical requests already in flight
+     * @param {string} url - Request URL
+     * @param {Object} [options] - Request options
+     * @param {Object} [options.params] - Query parameters
+     * @param {number} [options.weight=1] - Request weight counted against the rate limit
+     * @returns {Promise<any>} Response body
+     */
+    get(url, { params = {}, weight = 1 } = {}) {
+        const key = `${url}?${JSON.stringify(params)}`;
+
+        if (this.inFlight.has(key)) {
+            return this.inFlight.get(key);
+        }
+
+        const request = this._getWithRetries(url, params, weight)
+            .finally(() => this.inFlight.delete(key));
+
+        this.inFlight.set(key, request);
+        return request;
+    }
+
+    /**
+     * Describe the client's rate-limit state
+     * @returns {{usedWeight: number, blockedUntil: number|null, inFlight: number}} State
+     */
+    getStats() {
+        return {
+            usedWeight: this.usedWeight,
+            blockedUntil: this.blockedUntil > Date.now() ? this.blockedUntil : null,
+            inFlight: this.inFlight.size
+        };
+    }
+
+    /**
+     * Run a request with backoff retries
+     * @private
+     */
+    async _getWithRetries(url, params, weight) {
+        const { retries, baseDelayMs, maxDelayMs } = this.options;
+
+        for (let attempt = 0; ; attempt++) {
+            await this._waitForCapacity(weight);
+            const started = Date.now();
+
+            try {
+                const response = await observeUpstream(this.options.name, url,
+                    () => axios.get(url, { params, timeout: this.options.timeoutMs }));
+                this._trackLimits(response.headers);
+                this._logCall(url, params, response.status, started);
+                return response.data;
+            } catch (error) {
+                if (error.response) {
+                    this._trackLimits(error.response.headers);
+                }
+                this._logCall(url, params, error.response ? error.response.status : null, started, error);
+
+                const retryAfterMs = this._retryAfterMs(error);
+                if (retryAfterMs !== null) {
+                    this.blockedUntil = Math.max(this.blockedUntil, Date.now() + retryAfterMs);
+                }
+
+                if (attempt >= retries || !this._isRetryable(error)) {
+                    throw error;
+                }
+
+                // Full jitter keeps concurrent clients from retrying in lockstep
+                const backoff = Math.random() * baseDelayMs * Math.pow(2, attempt);
+                const delay = Math.max(backoff, retryAfterMs || 0);
+                if (delay > maxDelayMs) {
+                    throw error;
+                }
+
+                logger.warn('Retrying upstream request', {
+                    exchange: this.options.name,
+                    endpoint: new URL(url).pathname,
+                    retry: attempt + 1,
+                    delayMs: Math.round(delay)
+                });
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Log a finished upstream call and note it on the current request
+     * @param {string} url - Request URL
+     * @param {Object} params - Query parameters
+     * @param {number|null} status - HTTP status, null if no response was received
+     * @param {number} started - Call start time
+     * @param {Error} [error] - Failure, if the call failed
+     * @private
+     */
+    _logCall(url, params, status, started, error) {
+        const call = {
+            exchange: this.options.name,
+            endpoint: new URL(url).pathname,
+            status,
+            ok: !error,
+            durationMs: Date.now() - started
+        };
+
+        recordUpstreamCall(call);
+        if (error) {
+            logger.warn('Upstream request failed', { ...call, params, error });
+        } else {
+            logger.debug('Upstream request', { ...call, params });
+        }
+    }
+
+    /**
+     * Wait until the request fits in the rate limit, or fail fast if that takes too long
+     * @param {number} weight - Request weight
+     * @throws {ApiError} 429 if the exchange asked us to back off for longer than maxDelayMs
+     * @private
+     */
+    async _waitForCapacity(weight) {
+        const now = Date.now();
+        let waitMs = Math.max(0, this.blockedUntil - now);
+
+        const limits = this.options.weight;
+        if (limits) {
+            if (now - this.windowStart >= limits.windowMs) {
+                this.windowStart = Math.floor(now / limits.windowMs) * limits.windowMs;
+                this.usedWeight = 0;
+            }
+
+            // Keep a 10% margin for requests we do not see (other instances, streams)
+            if (this.usedWeight + weight > limits.limit * 0.9) {
+                waitMs = Math.max(waitMs, this.windowStart + limits.windowMs - now);
+            }
+        }
+
+        if (waitMs === 0) return;
+
+        if (waitMs > this.options.maxDelayMs) {
+            const error = new ApiError(429, 'RATE_LIMITED', 'The exchange is rate limiting requests, please retry later');
+            error.retryAfter = Math.ceil(waitMs / 1000);
+            throw error;
+        }
+
+        await sleep(waitMs);
+    }
+
+    /**
+     * Update rate-limit state from response headers
+     * @param {Object} headers - Response headers
+     * @private
+     */
+    _trackLimits(headers = {}) {
+        const { weight, remaining } = this.options;
+
+        if (weight && headers[weight.header] !== undefined) {
+            this.usedWeight = parseInt(headers[weight.header], 10) || 0;
+            this.windowStart = Math.floor(Date.now() / weight.windowMs) * weight.windowMs;
+        }
+
+        if (remaining && headers[remaining.header] !== undefined) {
+            const left = parseInt(headers[remaining.header], 10);
+            const resetAt = parseInt(headers[remaining.resetHeader], 10);
+            if (left <= 1 && resetAt > Date.now()) {
+                this.blockedUntil = Math.max(this.blockedUntil, resetAt);
+            }
+        }
+    }
+
+    /**
+     * Read the Retry-After delay of a rate-limited response
+     * @param {Error} error - Request error
+     * @returns {number|null} Delay in milliseconds, or null if not rate limited
+     * @private
+     */
+    _retryAfterMs(error) {
+        const status = error.response ? error.response.status : null;
+        if (status !== 429 && status !== 418) return null;
+
+        const seconds = parseInt(error.response.headers['retry-after'], 10);
+        return isNaN(seconds) ? this.options.baseDelayMs : seconds * 1000;
+    }
+
+    /**
+     * Whether a failed request is worth retrying
+     * @param {Error} error - Request error
+     * @returns {boolean} True for network errors, timeouts, 5xx and 429
+     * @private
+     */
+    _isRetryable(error) {
+        if (!error.response) return true;
+
+        const status = error.response.status;
+        return status >= 500 || status === 429;
+    }
+}
+
+module.exports = UpstreamClient;
@@ -0,0 +1,503 @@
+// Validation of the candle query parameters shared by the price routes
+const { ApiError } = require('./errors');
+const { DEFAULT_EXCHANGE, getExchange } = require('./exchanges');
+const { MAX_HISTORY_CANDLES } = require('./backfill');
+const { INDICATORS } = require('./indicators');
+const { DOWNSAMPLERS } = require('./downsample');
+const { EXPORT_FORMATS } = require('./export');
+const { isExpression, parseExpression } = require('./synthetic');
+const { isValidTimezone, planInterval } = require('./intervals');
+const { ALERT_TYPES } = require('./alert-rules');
+const { INTERVAL_MS } = require('./candles');
+const { logger } = require('./logger');
+
+const DEFAULT_SYMBOL = 'BTCUSDT';
+const DEFAULT_INTERVAL = '1d';
+const DEFAULT_LIMIT = 168;
+const DEFAULT_POINTS = 1000;
+const MAX_BATCH_SERIES = 20;
+const MAX_POINTS = 10000;
+const DEFAULT_SNAPSHOT_WIDTH = 1000;
+const MIN_SNAPSHOT_WIDTH = 300;
+const MAX_SNAPSHOT_WIDTH = 2000;
+const MAX_SNAPSHOT_SCALE = 3;
+const DEFAULT_ALERT_INTERVAL = '1m';
+const DEFAULT_ALERT_COOLDOWN = 300;
+const MAX_ALERT_COOLDOWN = 7 * 24 * 60 * 60;
+const MAX_ALERT_NAME_LENGTH = 100;
+const MIN_ALERT_DURATION = 60 * 1000;
+const MAX_ALERT_DURATION = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a time query parameter given as epoch milliseconds or a date string
+ * @param {string|undefined} value - Raw query value
+ * @param {string} field - Parameter name, for error reporting
+ * @returns {number|undefined} Time in milliseconds, or undefined if absent
+ * @throws {ApiError} If the value is not a valid time
+ */
+function parseTime(value, field) {
+    if (value === undefined || value === '') return undefined;
+
+    const time = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+    if (isNaN(time)) {
+        throw new ApiError(400, 'INVALID_TIME', `${field} must be epoch milliseconds or an ISO date`, field);
+    }
+    return time;
+}
+
+/**
+ * Reject parameters given more than once, which arrive as arrays instead of strings
+ * @param {Object} query - Koa query object
+ * @param {string[]} fields - Parameters that take a single value
+ * @throws {ApiError} 400 if one of them is repeated
+ */
+function validateSingleValues(query, fields) {
+    for (const field of fields) {
+        if (query[field] !== undefined && typeof query[field] !== 'string') {
+            throw new ApiError(400, 'INVALID_PARAMETER', `${field} must be given only once`, field);
+        }
+    }
+}
+
+/**
+ * Resolve the exchange query parameter to its adapter
+ * @param {Object} query - Koa query object
+ * @returns {import('./exchanges/base')} Exchange adapter (the default one if not given)
+ * @throws {ApiError} 400 for unsupported exchanges
+ */
+function validateExchange(query) {
+    validateSingleValues(query, ['exchange']);
+    const exchangeId = query.exchange || DEFAULT_EXCHANGE;
+    const exchange = getExchange(exchangeId);
+    if (!exchange) {
+        throw new ApiError(400, 'INVALID_EXCHANGE', `Exchange ${exchangeId} is not supported`, 'exchange');
+    }
+    return exchange;
+}
+
+/**
+ * Validate the filters of the symbol list
+ * @param {Object} query - Koa query object
+ * @returns {{exchange: import('./exchanges/base'), quote: string|null, term: string|null}}
+ *          Exchange, and the upper-cased quote asset and search term if given
+ * @throws {ApiError} 400 for unsupported exchanges or repeated filters
+ */
+function validateSymbolListQuery(query) {
+    validateSingleValues(query, ['quote', 'q']);
+    const exchange = validateExchange(query);
+
+    return {
+        exchange,
+        quote: query.quote ? query.quote.toUpperCase() : null,
+        term: query.q ? query.q.toUpperCase() : null
+    };
+}
+
+/**
+ * Check that a symbol is listed on an exchange
+ * @param {import('./exchanges/base')} exchange - Exchange adapter
+ * @param {string} symbol - Trading pair symbol
+ * @param {import('./symbols')} symbolDirectory - Directory of listed symbols
+ * @throws {ApiError} 404 if the exchange does not list the symbol
+ */
+async function validateListed(exchange, symbol, symbolDirectory) {
+    let listed;
+    try {
+        listed = await symbolDirectory.find(exchange, symbol);
+    } catch (error) {
+        // Without a symbol list, let the exchange itself reject unknown symbols
+        logger.error('Could not load symbols', { exchange: exchange.id, error });
+        listed = true;
+    }
+
+    if (!listed) {
+        throw new ApiError(404, 'SYMBOL_NOT_FOUND', `Symbol ${symbol} is not listed on ${exchange.name}`, 'symbol');
+    }
+}
+
+/**
+ * Check that a time range holds no more candles than a capped request, as it is served whole
+ * Custom candles are fetched as source candles, from the start of the first one.
+ * @param {import('./intervals').IntervalPlan|null} plan - Aggregation plan, null for native intervals
+ * @param {string} interval - Requested interval
+ * @param {number} startTime - Range start in milliseconds
+ * @param {number|undefined} endTime - Range end in milliseconds, now if not given
+ * @param {string} [reason] - Why the range is as long as it is, appended to the error message
+ * @throws {ApiError} 400 RANGE_TOO_LARGE
+ */
+function validateRangeSize(plan, interval, startTime, endTime, reason) {
+    const fetchedFrom = plan ? plan.bucketOf(startTime).start : startTime;
+    const fetchedMs = (endTime === undefined ? Date.now() : endTime) - fetchedFrom;
+    if (fetchedMs <= MAX_HISTORY_CANDLES * INTERVAL_MS[plan ? plan.source : interval]) return;
+
+    const message = plan
+        ? `The range may span at most ${MAX_HISTORY_CANDLES} ${plan.source} candles, which ${interval} candles are built from`
+        : `The range may span at most ${MAX_HISTORY_CANDLES} ${interval} candles`;
+    throw new ApiError(400, 'RANGE_TOO_LARGE', reason ? `${message}, ${reason}` : message, 'startTime');
+}
+
+/**
+ * Validate the common candle query parameters and apply defaults
+ * The symbol may be an expression over several listed symbols (see synthetic.js),
+ * and the interval a custom or timezone-aligned one (see intervals.js).
+ * @param {Object} query - Koa query object
+ * @param {import('./symbols')} symbolDirectory - Directory used to check the symbol exists
+ * @returns {Promise<{exchange: import('./exchanges/base'), symbol: string, interval: string, limit: number, startTime?: number, endTime?: number, timezone: string, sessionStart: number}>}
+ *          Validated parameters; sessionStart is in minutes after local midnight
+ * @throws {ApiError} 400 for malformed parameters, 404 for unknown symbols
+ */
+async function validateCandleQuery(query, symbolDirectory) {
+    validateSingleValues(query, ['symbol', 'interval', 'limit', 'startTime', 'endTime', 'timezone', 'sessionStart']);
+    const exchange = validateExchange(query);
+
+    const timezone = query.timezone || 'UTC';
+    if (!isValidTimezone(timezone)) {
+        throw new ApiError(400, 'INVALID_TIMEZONE', `Unknown timezone ${timezone}`, 'timezone');
+    }
+
+    let sessionStart = 0;
+    if (query.sessionStart !== undefined && query.sessionStart !== '') {
+        const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(query.sessionStart);
+        if (!match) {
+            throw new ApiError(400, 'INVALID_SESSION', 'sessionStart must be a local time as HH:MM', 'sessionStart');
+        }
+        sessionStart = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    }
+
+    // Native intervals pass as they are; anything else must be buildable from them
+    const interval = query.interval || DEFAULT_INTERVAL;
+    const plan = planInterval(exchange, interval, { timezone, sessionStart });
+
+    let limit = DEFAULT_LIMIT;
+    if (query.limit !== undefined) {
+        limit = /^\d+$/.test(query.limit) ? parseInt(query.limit, 10) : NaN;
+        if (!(limit >= 1 && limit <= MAX_HISTORY_CANDLES)) {
+            throw new ApiError(400, 'INVALID_LIMIT',
+                `limit must be an integer between 1 and ${MAX_HISTORY_CANDLES}`, 'limit');
+        }
+    }
+
+    const startTime = parseTime(query.startTime, 'startTime');
+    const endTime = parseTime(query.endTime, 'endTime');
+    if (startTime !== undefined && endTime !== undefined && startTime > endTime) {
+        throw new ApiError(400, 'INVALID_RANGE', 'endTime must not be before startTime', 'endTime');
+    }
+
+    if (startTime !== undefined) {
+        validateRangeSize(plan, interval, startTime, endTime);
+    }
+
+    let symbol = query.symbol || DEFAULT_SYMBOL;
+    if (isExpression(symbol)) {
+        // Synthetic symbol: every component must be listed
+        const expression = parseExpression(symbol);
+        for (const component of expression.components) {
+            await validateListed(exchange, component, symbolDirectory);
+        }
+        symbol = expression.text;
+    } else {
+        if (!/^[A-Z0-9]{2,20}$/.test(symbol)) {
+            throw new ApiError(400, 'INVALID_SYMBOL', 'symbol must be 2-20 upper-case letters or digits', 'symbol');
+        }
+        await validateListed(exchange, symbol, symbolDirectory);
+    }
+
+    return { exchange, symbol, interval, limit, startTime, endTime, timezone, sessionStart };
+}
+
+/**
+ * Validate the indicator name and its parameters, applying defaults
+ * @param {Object} query - Koa query object
+ * @returns {{indicator: string, params: Object<string, number>}} Validated indicator and parameters
+ * @throws {ApiError} 400 for unknown indicators or out-of-range parameters
+ */
+function validateIndicatorQuery(query) {
+    const indicator = query.indicator;
+    if (!indicator || !Object.prototype.hasOwnProperty.call(INDICATORS, indicator)) {
+        throw new ApiError(400, 'INVALID_INDICATOR',
+            `indicator must be one of ${Object.keys(INDICATORS).join(', ')}`, 'indicator');
+    }
+
+    const params = {};
+    for (const [name, spec] of Object.entries(INDICATORS[indicator].params)) {
+        if (query[name] === undefined || query[name] === '') {
+            params[name] = spec.default;
+            continue;
+        }
+
+        const pattern = spec.integer ? /^\d+$/ : /^\d+(\.\d+)?$/;
+        const value = pattern.test(query[name]) ? Number(query[name]) : NaN;
+        if (!(value >= spec.min && value <= spec.max)) {
+            const kind = spec.integer ? 'an integer' : 'a number';
+            throw new ApiError(400, 'INVALID_PARAMETER',
+                `${name} must be ${kind} between ${spec.min} and ${spec.max}`, name);
+        }
+        params[name] = value;
+    }
+
+    if (indicator === 'macd' && params.fast >= params.slow) {
+        throw new ApiError(400, 'INVALID_PARAMETER', 'fast must be shorter than slow', 'fast');
+    }
+
+    return { indicator, params };
+}
+
+/**
+ * Extend a validated candle range by the earlier candles an indicator needs to warm up
+ * The extended range must still fit the candle cap, or the warm-up would be cut off.
+ * @param {import('./exchanges/base')} exchange - Exchange adapter
+ * @param {string} interval - Validated interval
+ * @param {{limit: number, startTime?: number, endTime?: number, timezone: string, sessionStart: number}} range -
+ *        Validated range
+ * @param {number} warmup - Earlier candles the indicator needs
+ * @returns {Object} Range reaching `warmup` candles further back
+ * @throws {ApiError} 400 RANGE_TOO_LARGE if the extended range exceeds the candle cap
+ */
+function validateIndicatorRange(exchange, interval, range, warmup) {
+    const reason = `including the ${warmup} earlier candles the indicator needs`;
+
+    if (range.startTime === undefined) {
+        if (range.limit + warmup > MAX_HISTORY_CANDLES) {
+            throw new ApiError(400, 'RANGE_TOO_LARGE',
+                `limit may be at most ${MAX_HISTORY_CANDLES - warmup}, ${reason}`, 'limit');
+        }
+        return { ...range, limit: range.limit + warmup };
+    }
+
+    const plan = planInterval(exchange, interval, range);
+    const startTime = range.startTime - warmup * (plan ? plan.approxMs : INTERVAL_MS[interval]);
+    validateRangeSize(plan, interval, startTime, range.endTime, reason);
+    return { ...range, startTime };
+}
+
+/**
+ * Validate the optional downsampling parameters
+ * @param {Object} query - Koa query object
+ * @returns {{method: string, points: number}|null} Method and target point count, or null if not requested
+ * @throws {ApiError} 400 for unknown methods or out-of-range point counts
+ */
+function validateDownsampleQuery(query) {
+    if (query.downsample === undefined || query.downsample === '') return null;
+
+    const method = query.downsample;
+    if (!Object.prototype.hasOwnProperty.call(DOWNSAMPLERS, method)) {
+        throw new ApiError(400, 'INVALID_DOWNSAMPLE',
+            `downsample must be one of ${Object.keys(DOWNSAMPLERS).join(', ')}`, 'downsample');
+    }
+
+    let points = DEFAULT_POINTS;
+    if (query.points !== undefined) {
+        points = /^\d+$/.test(query.points) ? parseInt(query.points, 10) : NaN;
+        if (!(points >= 3 && points <= MAX_POINTS)) {
+            throw new ApiError(400, 'INVALID_POINTS', `points must be an integer between 3 and ${MAX_POINTS}`, 'points');
+        }
+    }
+
+    return { method, points };
+}
+
+/**
+ * Validate the export format
+ * @param {Object} query - Koa query object
+ * @param {string|null} [fallback=null] - Format to use when none is given
+ * @returns {string|null} Key of EXPORT_FORMATS, or the fallback if not requested
+ * @throws {ApiError} 400 for unknown formats
+ */
+function validateExportFormat(query, fallback = null) {
+    if (query.format === undefined || query.format === '') return fallback;
+
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, query.format)) {
+        throw new ApiError(400, 'INVALID_FORMAT',
+            `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`, 'format');
+    }
+    return query.format;
+}
+
+/**
+ * Validate the image size parameters of a chart snapshot
+ * @param {Object} query - Koa query object
+ * @returns {{width: number, scale: number}} Layout width in pixels and pixel ratio
+ * @throws {ApiError} 400 for out-of-range values
+ */
+function validateSnapshotQuery(query) {
+    let width = DEFAULT_SNAPSHOT_WIDTH;
+    if (query.width !== undefined) {
+        width = /^\d+$/.test(query.width) ? parseInt(query.width, 10) : NaN;
+        if (!(width >= MIN_SNAPSHOT_WIDTH && width <= MAX_SNAPSHOT_WIDTH)) {
+            throw new ApiError(400, 'INVALID_WIDTH',
+                `width must be an integer between ${MIN_SNAPSHOT_WIDTH} and ${MAX_SNAPSHOT_WIDTH}`, 'width');
+        }
+    }
+
+    let scale = 1;
+    if (query.scale !== undefined) {
+        scale = /^\d+$/.test(query.scale) ? parseInt(query.scale, 10) : NaN;
+        if (!(scale >= 1 && scale <= MAX_SNAPSHOT_SCALE)) {
+            throw new ApiError(400, 'INVALID_SCALE', `scale must be an integer between 1 and ${MAX_SNAPSHOT_SCALE}`, 'scale');
+        }
+    }
+
+    return { width, scale };
+}
+
+/**
+ * Validate the parameters of an alert type, applying defaults
+ * @param {string} type - Key of ALERT_TYPES
+ * @param {Object} params - Parameters from the request body
+ * @returns {Object} Validated parameters; durations in milliseconds
+ * @throws {ApiError} 400 INVALID_PARAMETER for missing or out-of-range parameters
+ */
+function validateAlertParams(type, params) {
+    const result = {};
+
+    for (const [name, spec] of Object.entries(ALERT_TYPES[type].params)) {
+        const field = `params.${name}`;
+        const value = params[name];
+
+        if (value === undefined || value === null || value === '') {
+            if (spec.default === undefined) {
+                throw new ApiError(400, 'INVALID_PARAMETER', `${name} is required for ${type} alerts`, field);
+            }
+            result[name] = spec.default;
+        } else {
+            result[name] = value;
+        }
+
+        if (spec.values) {
+            if (!spec.values.includes(result[name])) {
+                throw new ApiError(400, 'INVALID_PARAMETER', `${name} must be one of ${spec.values.join(', ')}`, field);
+            }
+        } else if (spec.duration) {
+            // A count and unit such as "1h", or milliseconds as stored
+            const match = /^([1-9]\d{0,3})([mhd])$/.exec(result[name]);
+            const ms = match
+                ? parseInt(match[1], 10) * { m: 60000, h: 3600000, d: 86400000 }[match[2]]
+                : result[name];
+            if (!Number.isInteger(ms) || ms < MIN_ALERT_DURATION || ms > MAX_ALERT_DURATION) {
+                throw new ApiError(400, 'INVALID_PARAMETER',
+                    `${name} must be between 1m and 7d, as a count followed by m, h or d (e.g. "1h")`, field);
+            }
+            result[name] = ms;
+        } else {
+            const number = result[name];
+            if (typeof number !== 'number' || !(number >= spec.min && number <= spec.max) ||
+                (spec.integer && !Number.isInteger(number))) {
+                const kind = spec.integer ? 'an integer' : 'a number';
+                throw new ApiError(400, 'INVALID_PARAMETER', `${name} must be ${kind} between ${spec.min} and ${spec.max}`, field);
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Validate an alert definition from a request body, applying defaults
+ * @param {Object} body - Parsed JSON body
+ * @param {import('./symbols')} symbolDirectory - Directory used to check the symbol exists
+ * @returns {Promise<Object>} Alert fields: name, exchange, symbol, interval, type, params, webhook, cooldown, enabled
+ * @throws {ApiError} 400 for malformed fields, 404 for unknown symbols
+ */
+async function validateAlert(body, symbolDirectory) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new ApiError(400, 'INVALID_BODY', 'Request body must be a JSON object');
+    }
+
+    if (typeof body.symbol !== 'string' || body.symbol === '') {
+        throw new ApiError(400, 'INVALID_SYMBOL', 'symbol is required', 'symbol');
+    }
+
+    const interval = body.interval || DEFAULT_ALERT_INTERVAL;
+    const { exchange, symbol } = await validateCandleQuery({ exchange: body.exchange, symbol: body.symbol, interval }, symbolDirectory);
+    if (INTERVAL_MS[interval] === undefined) {
+        throw new ApiError(400, 'INVALID_INTERVAL', 'Alerts need a native interval such as 1m or 1h', 'interval');
+    }
+
+    const type = body.type;
+    if (!Object.prototype.hasOwnProperty.call(ALERT_TYPES, type)) {
+        throw new ApiError(400, 'INVALID_TYPE', `type must be one of ${Object.keys(ALERT_TYPES).join(', ')}`, 'type');
+    }
+    if (body.params !== undefined && (typeof body.params !== 'object' || body.params === null)) {
+        throw new ApiError(400, 'INVALID_PARAMETER', 'params must be an object', 'params');
+    }
+    const params = validateAlertParams(type, body.params || {});
+
+    let webhook;
+    try {
+        webhook = new URL(body.webhook);
+    } catch (error) {
+        webhook = null;
+    }
+    if (!webhook || (webhook.protocol !== 'http:' && webhook.protocol !== 'https:')) {
+        throw new ApiError(400, 'INVALID_WEBHOOK', 'webhook must be an http or https URL', 'webhook');
+    }
+
+    const cooldown = body.cooldown === undefined ? DEFAULT_ALERT_COOLDOWN : body.cooldown;
+    if (!Number.isInteger(cooldown) || cooldown < 0 || cooldown > MAX_ALERT_COOLDOWN) {
+        throw new ApiError(400, 'INVALID_COOLDOWN',
+            `cooldown must be a number of seconds between 0 and ${MAX_ALERT_COOLDOWN}`, 'cooldown');
+    }
+
+    const enabled = body.enabled === undefined ? true : body.enabled;
+    if (typeof enabled !== 'boolean') {
+        throw new ApiError(400, 'INVALID_ENABLED', 'enabled must be true or false', 'enabled');
+    }
+
+    const name = body.name === undefined ? `${symbol} ${type}` : body.name;
+    if (typeof name !== 'string' || name.length > MAX_ALERT_NAME_LENGTH) {
+        throw new ApiError(400, 'INVALID_NAME', `name must be a string of at most ${MAX_ALERT_NAME_LENGTH} characters`, 'name');
+    }
+
+    return { name, exchange: exchange.id, symbol, interval, type, params, webhook: webhook.href, cooldown, enabled };
+}
+
+/**
+ * Validate the list of series requested from the batch route
+ * `symbols` is a comma-separated list of `SYMBOL` or `SYMBOL:interval` entries.
+ * Entries without their own interval use each of `intervals` (comma-separated),
+ * or the `interval` parameter, or the default interval. Each symbol and interval
+ * is checked later, per series, so one bad entry does not fail the batch.
+ * @param {Object} query - Koa query object
+ * @returns {Array<{symbol: string, interval: string}>} Requested series
+ * @throws {ApiError} 400 if a parameter is repeated, or the list is empty or too long
+ */
+function validateBatchQuery(query) {
+    validateSingleValues(query, ['symbols', 'intervals', 'interval']);
+    const entries = (query.symbols || '').split(',').map(entry => entry.trim()).filter(Boolean);
+    const intervals = query.intervals
+        ? query.intervals.split(',').map(interval => interval.trim()).filter(Boolean)
+        : [query.interval || DEFAULT_INTERVAL];
+
+    const series = [];
+    for (const entry of entries) {
+        const [symbol, interval] = entry.split(':');
+        if (interval) {
+            series.push({ symbol, interval });
+        } else {
+            intervals.forEach(each => series.push({ symbol, interval: each }));
+        }
+    }
+
+    if (series.length === 0) {
+        throw new ApiError(400, 'INVALID_SYMBOLS', 'symbols must list at least one symbol', 'symbols');
+    }
+
+    if (series.length > MAX_BATCH_SERIES) {
+        throw new ApiError(400, 'INVALID_SYMBOLS', `A batch can request at most ${MAX_BATCH_SERIES} series`, 'symbols');
+    }
+
+    return series;
+}
+
+module.exports = {
+    validateExchange,
+    validateSymbolListQuery,
+    validateCandleQuery,
+    validateIndicatorQuery,
+    validateIndicatorRange,
+    validateDownsampleQuery,
+    validateExportFormat,
+    validateSnapshotQuery,
+    validateAlert,
+    validateBatchQuery
+};
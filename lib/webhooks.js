@@ -0,0 +1,69 @@
+/**
+ * Webhook delivery
+ * POSTs a JSON payload to a webhook URL, retrying with exponential backoff on
+ * network errors, 5xx and 429 responses. Other 4xx responses are final.
+ */
+const axios = require('axios');
+
+/**
+ * @typedef {Object} DeliveryResult
+ * @property {boolean} delivered - Whether the receiver answered with a 2xx status
+ * @property {number|null} status - Last HTTP status, null if no response was received
+ * @property {number} attempts - Requests made
+ * @property {string|null} error - Why delivery failed, null if delivered
+ */
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Deliver a payload to a webhook
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - JSON payload
+ * @param {Object} [options] - Delivery options
+ * @param {number} [options.retries=2] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs=1000] - First backoff delay, doubled on every retry
+ * @param {number} [options.timeoutMs=5000] - Request timeout
+ * @returns {Promise<DeliveryResult>} Outcome; never rejects
+ */
+async function sendWebhook(url, payload, { retries = 2, baseDelayMs = 1000, timeoutMs = 5000 } = {}) {
+    let attempts = 0;
+
+    for (;;) {
+        attempts++;
+        let status = null;
+        let error;
+
+        try {
+            const response = await axios.post(url, payload, {
+                timeout: timeoutMs,
+                headers: { 'User-Agent': 'btc-price-chart-alerts' },
+                validateStatus: () => true
+            });
+            status = response.status;
+            if (status >= 200 && status < 300) {
+                return { delivered: true, status, attempts, error: null };
+            }
+            error = `Receiver answered ${status}`;
+        } catch (requestError) {
+            error = requestError.message;
+        }
+
+        const retryable = status === null || status >= 500 || status === 429;
+        if (!retryable || attempts > retries) {
+            return { delivered: false, status, attempts, error };
+        }
+
+        await sleep(baseDelayMs * 2 ** (attempts - 1));
+    }
+}
+
+module.exports = {
+    sendWebhook
+};
@@ -2,88 +2,582 @@
 const Koa = require('koa');
 const Router = require('@koa/router');
 const cors = require('@koa/cors');
-const axios = require('axios');
 const serve = require('koa-static');
+const compress = require('koa-compress');
+const conditional = require('koa-conditional-get');
+const etag = require('koa-etag');
 const path = require('path');
+const { PassThrough } = require('stream');
 const NodeCache = require('node-cache');
+const { DEFAULT_EXCHANGE, listExchanges, getExchange } = require('./lib/exchanges');
+const CandleStreamHub = require('./lib/stream-hub');
+const CandleStore = require('./lib/candle-store');
+const CandleService = require('./lib/candle-service');
+const SymbolDirectory = require('./lib/symbols');
+const { ApiError, toApiError, errorHandler } = require('./lib/errors');
+const {
+    validateExchange,
+    validateSymbolListQuery,
+    validateCandleQuery,
+    validateIndicatorQuery,
+    validateIndicatorRange,
+    validateDownsampleQuery,
+    validateExportFormat,
+    validateSnapshotQuery,
+    validateBatchQuery
+} = require('./lib/validation');
+const { mapWithConcurrency } = require('./lib/concurrency');
+const { downsample } = require('./lib/downsample');
+const { CANDLE_COLUMNS, EXPORT_FORMATS, exportFilename } = require('./lib/export');
+const { INDICATORS, computeIndicator, warmupCandles } = require('./lib/indicators');
+const { renderChartSvg, renderPng } = require('./lib/snapshot');
+const { isExpression, parseExpression, subscribeSynthetic } = require('./lib/synthetic');
+const { planInterval, subscribeAggregated } = require('./lib/intervals');
+const { MAX_HISTORY_CANDLES } = require('./lib/backfill');
+const { candleCacheTtl } = require('./lib/candles');
+const { CacheWarmer, buildWarmTargets } = require('./lib/cache-warmer');
+const { createAdminRouter } = require('./lib/admin');
+const AlertManager = require('./lib/alert-manager');
+const { createAlertsRouter } = require('./lib/alerts');
+const { createHealthRouter } = require('./lib/health');
+const { register, metricsMiddleware, recordCacheResult, registerStateMetrics } = require('./lib/metrics');
+const { logger, requestLogger } = require('./lib/logger');
 
-// Initialize cache with 5 minute TTL (in seconds)
-const cache = new NodeCache({ stdTTL: 300, checkperiod: 320 });
+// Initialize cache with a default 5 minute TTL (in seconds)
+// Holds the still-open candle of each series and responses for unstored exchanges,
+// each with a TTL sized to its candle's interval
+const cache = new NodeCache({ stdTTL: 300, checkperiod: 60 });
+
+// Closed candles are persisted on disk and kept forever; CANDLE_STORE_MAX_LOADED
+// bounds how many of them are held parsed in memory (least recently used series go first)
+const STORE_DIR = process.env.CANDLE_STORE_DIR || path.join(__dirname, 'data', 'candles');
+const candleStore = new CandleStore(STORE_DIR, {
+    maxLoadedCandles: parseInt(process.env.CANDLE_STORE_MAX_LOADED, 10) || undefined
+});
+const candleService = new CandleService({ store: candleStore, cache });
+const symbolDirectory = new SymbolDirectory(cache);
+
+// Shared upstream kline streams, fanned out to browsers over SSE
+const streamHub = new CandleStreamHub();
+
+// Expose cache, store and stream sizes on /metrics
+registerStateMetrics({ cache, candleStore, streamHub });
+
+// Keep idle SSE connections alive through proxies
+const SSE_HEARTBEAT_MS = 15000;
+
+// Series fetched at the same time by one batch request
+const BATCH_CONCURRENCY = 4;
+
+// Snapshots draw at most this many candles per pixel of width; longer series are merged first
+const SNAPSHOT_CANDLES_PER_PIXEL = 2;
+
+// Closed candles never change, so responses for finished time ranges may be reused for a day
+const CLOSED_RANGE_MAX_AGE = 24 * 60 * 60;
+
+// Time in-flight requests get to finish after SIGTERM before the process exits anyway
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 10000;
+
+// Set once shutdown starts: readiness fails and connections are not kept alive
+let shuttingDown = false;
+
+/** @type {Set<PassThrough>} Open SSE response streams, ended on shutdown */
+const sseStreams = new Set();
 
 const app = new Koa();
 const router = new Router();
 const PORT = process.env.PORT || 3000;
 
+// Trust X-Forwarded-For from the reverse proxy so audit logs show client IPs
+app.proxy = process.env.TRUST_PROXY === 'true';
+
+// Tag every request with a correlation ID and log it as JSON when it finishes
+app.use(requestLogger());
+
+// Record request counts and latency per route
+app.use(metricsMiddleware());
+
+// While draining, let clients reconnect elsewhere instead of reusing this connection
+// Checked after the request, so requests that were in flight at SIGTERM are covered too
+app.use(async (ctx, next) => {
+    await next();
+    if (shuttingDown) ctx.set('Connection', 'close');
+});
+
 // Enable CORS
-app.use(cors());
+app.use(cors({ exposeHeaders: ['X-Cache', 'X-Data-Stale', 'X-Original-Count', 'X-Dropped-Count', 'X-Request-Id', 'Content-Disposition'] }));
+
+// Render errors as {code, message, field}
+app.use(errorHandler());
+
+// Compress responses over 1 KB with brotli or gzip, as the client accepts
+app.use(compress({ zstd: false }));
+
+// Answer If-None-Match with 304 when the response's ETag still matches
+// Weak ETags: the same body is sent with different content encodings
+app.use(conditional());
+app.use(etag({ weak: true }));
 
 // Serve static files from the public directory
 app.use(serve(path.join(__dirname, 'public')));
 
-// Route to fetch BTC price data from Binance API with caching
-router.get('/api/btc-price', async (ctx) => {
-    try {
-        // Get query parameters with defaults
-        const symbol = ctx.query.symbol || 'BTCUSDT';
-        const interval = ctx.query.interval || '1d';
-        const limit = parseInt(ctx.query.limit) || 168;
-
-        // Create a cache key from request parameters
-        const cacheKey = `${symbol}-${interval}-${limit}`;
-
-        // Try to get data from cache
-        const cachedData = cache.get(cacheKey);
-        if (cachedData) {
-            ctx.set('X-Cache', 'HIT');
-            ctx.body = cachedData;
-            return;
+/**
+ * Flag a response that was served from old data because upstream failed
+ * @param {Object} ctx - Koa context
+ * @param {boolean} stale - Whether the data is stale
+ */
+function setStaleHeaders(ctx, stale) {
+    if (!stale) return;
+
+    ctx.set('X-Data-Stale', 'true');
+    ctx.set('Warning', '110 - "Response is Stale"');
+}
+
+/**
+ * Report candles of an expression symbol left out because its result was not finite
+ * @param {Object} ctx - Koa context
+ * @param {number} [dropped] - Number of candles left out
+ */
+function setDroppedHeader(ctx, dropped) {
+    if (!dropped) return;
+
+    ctx.set('X-Dropped-Count', String(dropped));
+}
+
+/**
+ * Let browsers and proxies reuse a candle response until it would change
+ * A response ending with the open candle may be reused as long as the server
+ * caches that candle, never past its close; one for a finished time range
+ * never changes. Stale data is always revalidated.
+ * @param {Object} ctx - Koa context
+ * @param {Object[]} candles - Candles of the response
+ * @param {{endTime?: number}} range - Requested range
+ * @param {boolean} stale - Whether the data is stale
+ */
+function setCacheControl(ctx, candles, range, stale) {
+    const now = Date.now();
+    const last = candles[candles.length - 1];
+
+    if (stale || !last) {
+        ctx.set('Cache-Control', 'no-cache');
+    } else if (range.endTime !== undefined && range.endTime < now && last.closeTime < now) {
+        ctx.set('Cache-Control', `public, max-age=${CLOSED_RANGE_MAX_AGE}`);
+    } else if (last.closeTime >= now) {
+        ctx.set('Cache-Control', `public, max-age=${candleCacheTtl(last, now)}`);
+    } else {
+        // The next candle has not started yet, so its close is not known
+        ctx.set('Cache-Control', 'no-cache');
+    }
+}
+
+/**
+ * Split a comma-separated setting into its trimmed, non-empty items
+ * @param {string|undefined} value - Environment variable value
+ * @param {string} defaultValue - Used when the variable is not set at all
+ * @returns {string[]} Items
+ */
+function listSetting(value, defaultValue) {
+    return (value === undefined ? defaultValue : value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Reduce a candle series as requested by the downsample/points query parameters
+ * Reports the original length in X-Original-Count when the series was reduced.
+ * @param {Object} ctx - Koa context
+ * @param {Object[]} candles - Full candle series
+ * @param {{method: string, points: number}|null} reduction - Validated downsampling parameters
+ * @returns {Object[]} Candles to send
+ */
+function applyDownsampling(ctx, candles, reduction) {
+    if (!reduction || candles.length <= reduction.points) return candles;
+
+    ctx.set('X-Original-Count', String(candles.length));
+    return downsample(candles, reduction.method, reduction.points);
+}
+
+/**
+ * Send rows as a file download in the requested format
+ * @param {Object} ctx - Koa context
+ * @param {Object[]} rows - Rows to send
+ * @param {string[]} columns - Columns to include, in order
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {string} filename - Suggested file name
+ */
+function sendExport(ctx, rows, columns, format, filename) {
+    const { contentType, serialize } = EXPORT_FORMATS[format];
+
+    ctx.set('Content-Disposition', `attachment; filename="${filename}"`);
+    ctx.type = contentType;
+    ctx.body = serialize(rows, columns);
+}
+
+/**
+ * Subscribe to live candles of a series
+ * Expression symbols combine their components' streams, and custom intervals
+ * aggregate the stream of their native source interval.
+ * @param {import('./lib/exchanges/base')} exchange - Exchange adapter
+ * @param {string} symbol - Validated symbol or symbol expression
+ * @param {string} interval - Validated interval
+ * @param {{timezone: string, sessionStart: number}} alignment - Candle alignment
+ * @param {function(Object): void} onCandle - Called with every candle update
+ * @returns {function(): void} Unsubscribe function
+ * @throws {Error} If the exchange cannot stream the series
+ */
+function subscribeSeries(exchange, symbol, interval, alignment, onCandle) {
+    const plan = planInterval(exchange, interval, alignment);
+
+    const subscribeSymbol = (plainSymbol, callback) => {
+        if (!plan) {
+            return streamHub.subscribe(exchange, plainSymbol, interval, callback);
         }
 
-        ctx.set('X-Cache', 'MISS');
+        return subscribeAggregated(
+            (source, sourceCallback) => streamHub.subscribe(exchange, plainSymbol, source, sourceCallback),
+            async (since) => {
+                const range = { limit: MAX_HISTORY_CANDLES, startTime: since };
+                return (await candleService.getCandles(exchange, plainSymbol, plan.source, range)).candles;
+            },
+            plan,
+            callback
+        );
+    };
 
-        // Fetch data from Binance API if not in cache
-        const response = await axios.get('https://api.binance.com/api/v3/klines', {
-            params: { symbol, interval, limit }
-        });
+    return isExpression(symbol)
+        ? subscribeSynthetic(subscribeSymbol, parseExpression(symbol), onCandle)
+        : subscribeSymbol(symbol, onCandle);
+}
+
+// Route to fetch price data from the selected exchange with caching
+// Kept for existing consumers: returns close prices only, or a download with `format`
+router.get('/api/btc-price', async (ctx) => {
+    const { exchange, symbol, interval, ...range } = await validateCandleQuery(ctx.query, symbolDirectory);
+    const reduction = validateDownsampleQuery(ctx.query);
+    const format = validateExportFormat(ctx.query);
+    const { candles, cacheHit, stale, dropped } = await candleService.getCandles(exchange, symbol, interval, range);
 
-        // Transform the data
-        const formattedData = response.data.map(candle => ({
-            timestamp: candle[0],
-            date: new Date(candle[0]).toISOString(),
-            price: parseFloat(candle[4])
-        }));
+    ctx.set('X-Cache', cacheHit ? 'HIT' : 'MISS');
+    recordCacheResult(cacheHit);
+    setStaleHeaders(ctx, stale);
+    setDroppedHeader(ctx, dropped);
+    setCacheControl(ctx, candles, range, stale);
 
-        // Store in cache (TTL is set globally when creating the cache)
-        cache.set(cacheKey, formattedData);
+    const prices = applyDownsampling(ctx, candles, reduction).map(candle => ({
+        timestamp: candle.timestamp,
+        date: candle.date,
+        price: candle.close
+    }));
 
-        ctx.body = formattedData;
-    } catch (error) {
-        console.error(`Error fetching price data: ${error.message}`);
-        ctx.status = 500;
-        ctx.body = {
-            error: 'Failed to fetch price data',
-            message: error.message
-        };
+    if (format) {
+        sendExport(ctx, prices, ['timestamp', 'date', 'price'], format, exportFilename(symbol, interval, prices, format));
+    } else {
+        ctx.body = prices;
+    }
+});
+
+// Route to fetch full OHLCV candles (open/high/low/close/volume/trades)
+router.get('/api/v1/candles', async (ctx) => {
+    const { exchange, symbol, interval, ...range } = await validateCandleQuery(ctx.query, symbolDirectory);
+    const reduction = validateDownsampleQuery(ctx.query);
+    const { candles, cacheHit, stale, dropped } = await candleService.getCandles(exchange, symbol, interval, range);
+
+    ctx.set('X-Cache', cacheHit ? 'HIT' : 'MISS');
+    recordCacheResult(cacheHit);
+    setStaleHeaders(ctx, stale);
+    setDroppedHeader(ctx, dropped);
+    setCacheControl(ctx, candles, range, stale);
+    ctx.body = applyDownsampling(ctx, candles, reduction);
+});
+
+// Route to download full candles as CSV (default), JSON or NDJSON
+router.get('/api/v1/export', async (ctx) => {
+    const { exchange, symbol, interval, ...range } = await validateCandleQuery(ctx.query, symbolDirectory);
+    const reduction = validateDownsampleQuery(ctx.query);
+    const format = validateExportFormat(ctx.query, 'csv');
+    const { candles, cacheHit, stale, dropped } = await candleService.getCandles(exchange, symbol, interval, range);
+
+    ctx.set('X-Cache', cacheHit ? 'HIT' : 'MISS');
+    recordCacheResult(cacheHit);
+    setStaleHeaders(ctx, stale);
+    setDroppedHeader(ctx, dropped);
+    setCacheControl(ctx, candles, range, stale);
+
+    const rows = applyDownsampling(ctx, candles, reduction);
+    sendExport(ctx, rows, CANDLE_COLUMNS, format, exportFilename(symbol, interval, rows, format));
+});
+
+// Route to render the chart as a PNG image, for dashboards, emails and chat bots
+// Drawn like the web chart at the requested width, with the middle line and current price;
+// long series are merged down to a few candles per pixel, reported in X-Original-Count
+router.get('/api/snapshot.png', async (ctx) => {
+    const { exchange, symbol, interval, ...range } = await validateCandleQuery(ctx.query, symbolDirectory);
+    const { width, scale } = validateSnapshotQuery(ctx.query);
+    const { candles, cacheHit, stale, dropped } = await candleService.getCandles(exchange, symbol, interval, range);
+
+    if (candles.length === 0) {
+        throw new ApiError(404, 'NO_DATA', `No candles for ${symbol} ${interval} in the requested range`);
     }
+
+    ctx.set('X-Cache', cacheHit ? 'HIT' : 'MISS');
+    recordCacheResult(cacheHit);
+    setStaleHeaders(ctx, stale);
+    setDroppedHeader(ctx, dropped);
+    setCacheControl(ctx, candles, range, stale);
+
+    // Expressions have no tick size of their own; their prices fall back to magnitude-based decimals
+    const info = isExpression(symbol) ? null : await symbolDirectory.find(exchange, symbol).catch(() => null);
+    const title = `${symbol.replace(/USDT/g, '')} on ${interval}${range.timezone !== 'UTC' ? ` (${range.timezone})` : ''}`;
+    const drawn = applyDownsampling(ctx, candles, { method: 'ohlc-bucket', points: width * SNAPSHOT_CANDLES_PER_PIXEL });
+    const svg = await renderChartSvg(drawn, { title, width, timezone: range.timezone, tickSize: info ? info.tickSize : null });
+
+    ctx.type = 'image/png';
+    ctx.body = renderPng(svg, scale);
 });
 
-// Admin routes for cache management
-router.get('/api/cache/stats', (ctx) => {
+// Route to fetch several series (symbols and/or intervals) in one request
+// Series are fetched with bounded concurrency; a failing series carries its own error
+router.get('/api/v1/batch', async (ctx) => {
+    validateExchange(ctx.query);
+    const series = validateBatchQuery(ctx.query);
+    const reduction = validateDownsampleQuery(ctx.query);
+
+    ctx.body = await mapWithConcurrency(series, BATCH_CONCURRENCY, async ({ symbol, interval }) => {
+        try {
+            const { exchange, limit, startTime, endTime, timezone, sessionStart } =
+                await validateCandleQuery({ ...ctx.query, symbol, interval }, symbolDirectory);
+            const { candles, cacheHit, stale, dropped } = await candleService.getCandles(exchange, symbol, interval,
+                { limit, startTime, endTime, timezone, sessionStart });
+            recordCacheResult(cacheHit);
+
+            const reduced = reduction && candles.length > reduction.points;
+            return {
+                symbol,
+                interval,
+                cacheHit,
+                stale,
+                originalCount: reduced ? candles.length : null,
+                droppedCount: dropped || null,
+                candles: reduced ? downsample(candles, reduction.method, reduction.points) : candles
+            };
+        } catch (error) {
+            const apiError = toApiError(error);
+            if (apiError.status >= 500 || apiError.status === 429) {
+                logger.error('Batch series failed', { symbol, interval, code: apiError.code, error });
+            }
+
+            return {
+                symbol,
+                interval,
+                error: {
+                    status: apiError.status,
+                    code: apiError.code,
+                    message: apiError.message,
+                    field: apiError.field
+                }
+            };
+        }
+    });
+});
+
+// Route to compute a technical indicator over the same series /api/v1/candles serves
+// Shares its candle cache, so indicators for a cached series cost nothing upstream
+router.get('/api/indicators', async (ctx) => {
+    const { indicator, params } = validateIndicatorQuery(ctx.query);
+    const { exchange, symbol, interval, ...range } = await validateCandleQuery(ctx.query, symbolDirectory);
+
+    // Compute over earlier candles too, so the first requested points are neither null nor still settling
+    const extended = validateIndicatorRange(exchange, interval, range, warmupCandles(indicator, params));
+    const { candles, cacheHit, stale, dropped } = await candleService.getCandles(exchange, symbol, interval, extended);
+
+    const values = computeIndicator(indicator, candles, params);
+
+    ctx.set('X-Cache', cacheHit ? 'HIT' : 'MISS');
+    recordCacheResult(cacheHit);
+    setStaleHeaders(ctx, stale);
+    setDroppedHeader(ctx, dropped);
+    setCacheControl(ctx, candles, range, stale);
     ctx.body = {
-        keys: cache.keys(),
-        stats: cache.getStats()
+        indicator,
+        params,
+        values: range.startTime !== undefined
+            ? values.filter(point => point.timestamp >= range.startTime)
+            : values.slice(-range.limit)
     };
 });
 
-router.post('/api/cache/clear', (ctx) => {
-    cache.flushAll();
-    ctx.body = { success: true, message: 'Cache cleared' };
+// Route to list the available indicators and their parameters
+router.get('/api/indicators/list', (ctx) => {
+    ctx.body = Object.entries(INDICATORS).map(([id, { description, params }]) => ({ id, description, params }));
+});
+
+// Route to stream live candle updates as Server-Sent Events
+router.get('/api/v1/stream', async (ctx) => {
+    const { exchange, symbol, interval, timezone, sessionStart } =
+        await validateCandleQuery(ctx.query, symbolDirectory);
+
+    const stream = new PassThrough();
+    let unsubscribe;
+
+    try {
+        unsubscribe = subscribeSeries(exchange, symbol, interval, { timezone, sessionStart }, (candle) => {
+            stream.write(`event: candle\ndata: ${JSON.stringify(candle)}\n\n`);
+        });
+    } catch (error) {
+        throw new ApiError(400, 'STREAM_UNAVAILABLE', `Live updates are not available for ${symbol} ${interval}`);
+    }
+
+    const heartbeat = setInterval(() => stream.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+    sseStreams.add(stream);
+
+    // Release the upstream subscription when the browser goes away
+    ctx.res.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        stream.end();
+        sseStreams.delete(stream);
+    });
+
+    ctx.req.socket.setTimeout(0);
+    ctx.compress = false;
+    ctx.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    ctx.status = 200;
+    ctx.body = stream;
+});
+
+// Prometheus scrape endpoint, optionally protected by METRICS_TOKEN
+router.get('/metrics', async (ctx) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token && ctx.get('Authorization') !== `Bearer ${token}`) {
+        throw new ApiError(401, 'UNAUTHORIZED', 'Metrics token is missing or invalid');
+    }
+
+    ctx.set('Content-Type', register.contentType);
+    ctx.body = await register.metrics();
+});
+
+// Route to list an exchange's symbols (base/quote asset, status, tick and lot size)
+// Served from the hourly symbol cache; optionally filtered by quote asset and a search term
+router.get('/api/symbols', async (ctx) => {
+    const { exchange, quote, term } = validateSymbolListQuery(ctx.query);
+    let symbols = await symbolDirectory.list(exchange);
+
+    if (quote) {
+        symbols = symbols.filter(info => info.quoteAsset === quote);
+    }
+
+    if (term) {
+        symbols = symbols.filter(info => info.symbol.includes(term) || info.baseAsset.includes(term));
+    }
+
+    ctx.body = symbols;
+});
+
+// Route to list the available exchanges and the intervals they support
+router.get('/api/exchanges', (ctx) => {
+    ctx.body = listExchanges().map(exchange => exchange.describe());
+});
+
+// Credentials for the admin and alert routes
+const adminCredentials = {
+    token: process.env.ADMIN_TOKEN,
+    user: process.env.ADMIN_USER,
+    password: process.env.ADMIN_PASSWORD
+};
+
+// Admin routes for cache management, authenticated and audited
+const adminRouter = createAdminRouter({
+    cache,
+    candleStore,
+    streamHub,
+    credentials: adminCredentials,
+    auditLogPath: process.env.ADMIN_AUDIT_LOG || path.join(__dirname, 'data', 'audit.log')
+});
+
+// Price alerts, evaluated on the same shared upstream streams the browsers use
+const UTC_ALIGNMENT = { timezone: 'UTC', sessionStart: 0 };
+const alertManager = new AlertManager({
+    dir: process.env.ALERTS_DIR || path.join(__dirname, 'data', 'alerts'),
+    subscribe: (alert, onCandle) =>
+        subscribeSeries(getExchange(alert.exchange), alert.symbol, alert.interval, UTC_ALIGNMENT, onCandle),
+    loadCandles: async (alert, limit) => {
+        const range = { limit: Math.min(limit, MAX_HISTORY_CANDLES), ...UTC_ALIGNMENT };
+        return (await candleService.getCandles(getExchange(alert.exchange), alert.symbol, alert.interval, range)).candles;
+    }
+});
+alertManager.load();
+
+// Keep the series the page offers by default fresh in the cache: its favourite
+// symbols, interval buttons and default limit. CACHE_WARM_SYMBOLS="" turns it off.
+const WARM_EXCHANGE = process.env.CACHE_WARM_EXCHANGE || DEFAULT_EXCHANGE;
+const cacheWarmer = new CacheWarmer({
+    targets: getExchange(WARM_EXCHANGE) ? buildWarmTargets({
+        exchange: WARM_EXCHANGE,
+        symbols: listSetting(process.env.CACHE_WARM_SYMBOLS, 'BTCUSDT,ETHUSDT,XRPUSDT,SOLUSDT,BNBUSDT,TONUSDT,DOGEUSDT'),
+        intervals: listSetting(process.env.CACHE_WARM_INTERVALS, '1h,2h,4h,1d,3d'),
+        limit: parseInt(process.env.CACHE_WARM_LIMIT, 10) || 100
+    }) : [],
+    warm: ({ exchange, symbol, interval, limit }) =>
+        candleService.getCandles(getExchange(exchange), symbol, interval, { limit, ...UTC_ALIGNMENT }, { refresh: true })
+});
+
+if (!getExchange(WARM_EXCHANGE)) {
+    logger.warn(`Unknown cache warm-up exchange ${WARM_EXCHANGE}, warming is off`);
+}
+
+const alertsRouter = createAlertsRouter({ alertManager, symbolDirectory, credentials: adminCredentials });
+
+// Liveness and readiness probes; readiness follows the default exchange
+const healthRouter = createHealthRouter({
+    exchange: getExchange(DEFAULT_EXCHANGE),
+    candleStore,
+    cache,
+    isShuttingDown: () => shuttingDown
 });
 
 // Use router middleware
+app.use(healthRouter.routes()).use(healthRouter.allowedMethods());
 app.use(router.routes()).use(router.allowedMethods());
+app.use(adminRouter.routes()).use(adminRouter.allowedMethods());
+app.use(alertsRouter.routes()).use(alertsRouter.allowedMethods());
+
+const server = app.listen(PORT, () => {
+    logger.info(`Server running on http://localhost:${PORT}`, { port: Number(PORT), storeDir: STORE_DIR });
+    cacheWarmer.start();
+});
+
+/**
+ * Stop taking requests, let in-flight ones finish and close live streams, then exit
+ * Exits with 1 if requests are still running after SHUTDOWN_TIMEOUT_MS.
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info(`${signal} received, draining requests`, { timeoutMs: SHUTDOWN_TIMEOUT_MS });
+
+    server.close(() => {
+        logger.info('All connections closed, exiting');
+        process.exit(0);
+    });
+
+    // SSE responses never finish by themselves; ending them releases their subscriptions
+    cacheWarmer.stop();
+    alertManager.stopAll();
+    for (const stream of sseStreams) {
+        stream.end();
+    }
+    streamHub.closeAll();
+    server.closeIdleConnections();
+
+    setTimeout(() => {
+        logger.error('Requests still running after the shutdown timeout, exiting anyway');
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+}
 
-app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
-    console.log(`Cache TTL set to 300 seconds (5 minutes)`);
-});
\ No newline at end of file
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
\ No newline at end of file
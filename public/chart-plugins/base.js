@@ -57,6 +57,16 @@ class ChartPlugin {
     return this;
   }
   
+  /**
+   * Format a price with the shared formatter, so every plugin shows prices the same way
+   * @param {number} price - Price to format
+   * @param {{compact?: boolean}} [options={}] - Formatting options (compact: k/M suffixes for large prices)
+   * @returns {string} Formatted price
+   */
+  formatPrice(price, options = {}) {
+    return window.ChartUtils.formatPrice(price, undefined, options);
+  }
+  
   /**
    * Handle chart resize
    * Default implementation re-renders if enabled
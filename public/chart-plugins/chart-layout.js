@@ -0,0 +1,94 @@
+/**
+ * Chart Layout
+ * Dimensions, scale domains and axes of the price chart. Shared by the page's
+ * ChartRenderer and the server's snapshot renderer, so images match the web chart.
+ */
+(function(global) {
+  class ChartLayout {
+    /**
+     * Calculate chart dimensions for a container width
+     * @param {number} containerWidth - Width of the chart container
+     * @returns {{width: number, height: number, margin: {top: number, right: number, bottom: number, left: number}}}
+     *          Plot area size and margins around it
+     */
+    static dimensions(containerWidth) {
+      // Mobile screens get reduced margins for a wider chart
+      const margin = containerWidth < 480
+        ? { top: 20, right: 30, bottom: 35, left: 30 }
+        : { top: 20, right: 80, bottom: 40, left: 80 };
+
+      const width = Math.max(300, containerWidth - margin.left - margin.right);
+
+      // Slightly taller aspect ratio for mobile (not too extreme)
+      const aspectRatio = containerWidth < 480 ? 0.55 : 0.5;
+      const height = Math.max(200, Math.min(500, Math.round(width * aspectRatio)));
+
+      return { width, height, margin };
+    }
+
+    /**
+     * Calculate appropriate tick count based on width
+     * @param {number} width - Chart width
+     * @param {number} [factor=1] - Adjustment factor
+     * @returns {number} Tick count
+     */
+    static tickCount(width, factor = 1) {
+      return Math.round(global.XAxisController.calculateBaseTicks(width) * factor);
+    }
+
+    /**
+     * Price domain of the y scale, padded by 5% of the range
+     * @param {Array<Object>} data - Chart data
+     * @param {function(Object): number} lowOf - Low of a data point
+     * @param {function(Object): number} highOf - High of a data point
+     * @returns {[number, number]} Domain
+     */
+    static priceDomain(data, lowOf, highOf) {
+      const minPrice = d3.min(data, lowOf);
+      const maxPrice = d3.max(data, highOf);
+      const padding = (maxPrice - minPrice) * 0.05;
+      return [minPrice - padding, maxPrice + padding];
+    }
+
+    /**
+     * Render axes and grid lines, adapting to the chart width
+     * @param {{xAxis: d3.Selection, yAxis: d3.Selection, xGrid: d3.Selection, yGrid: d3.Selection}} groups - Axis and grid groups
+     * @param {{x: d3.ScaleTime, y: d3.ScaleLinear}} scales - Chart scales
+     * @param {Object} dimensions - Chart dimensions { width, height, margin }
+     * @param {string|null} [timezone] - IANA timezone of the x axis labels; browser time if not set
+     */
+    static renderAxes({ xAxis, yAxis, xGrid, yGrid }, { x, y }, dimensions, timezone = null) {
+      const { width, height } = dimensions;
+      const isSmallScreen = width < 480;
+      const xFactor = isSmallScreen ? 1.5 : (width < 768 ? 1.2 : 1);
+      const yTickCount = this.tickCount(width, 0.6);
+
+      // X axis with adaptive ticks
+      global.XAxisController.render(xAxis, x, dimensions, timezone);
+
+      // Y axis with adaptive ticks - labels hidden on small screens
+      yAxis.call(
+        d3.axisLeft(y)
+          .ticks(yTickCount)
+          .tickFormat(d => isSmallScreen ? '' : `${d.toLocaleString()}`)
+      );
+
+      // Grid lines stay visible on all screen sizes
+      xGrid.call(
+        d3.axisBottom(x)
+          .ticks(Math.max(5, this.tickCount(width, xFactor)))
+          .tickSize(-height)
+          .tickFormat('')
+      );
+
+      yGrid.call(
+        d3.axisLeft(y)
+          .ticks(Math.max(5, yTickCount))
+          .tickSize(-width)
+          .tickFormat('')
+      );
+    }
+  }
+
+  global.ChartLayout = ChartLayout;
+})(window);
@@ -0,0 +1,260 @@
+/**
+ * Chart Image Exporter
+ * Composites the chart SVG and the plugins' HTML overlays (price labels,
+ * range zone, legend) into one standalone SVG, optionally rasterized to PNG.
+ * Overlays are redrawn as SVG shapes and text from their computed styles;
+ * icon glyphs are left out.
+ */
+(function(global) {
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  // Computed properties copied onto the cloned chart, so the image does not depend on the page's CSS
+  const SVG_STYLE_PROPERTIES = [
+    'display', 'visibility', 'opacity',
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'stroke-opacity',
+    'font-family', 'font-size', 'font-weight', 'text-anchor', 'dominant-baseline', 'shape-rendering'
+  ];
+
+  // Dash patterns for dashed and dotted CSS borders
+  const BORDER_DASHES = { dashed: '4,3', dotted: '1,2' };
+
+  class ChartImageExporter {
+    /**
+     * Render a chart container as a standalone SVG element
+     * @param {HTMLElement} container - Chart container holding the chart SVG and plugin overlays
+     * @param {Object} [options] - Export options
+     * @param {string} [options.title] - Title line drawn above the chart
+     * @param {number} [options.titleHeight=28] - Height of the title line in pixels
+     * @returns {SVGSVGElement} Standalone SVG
+     */
+    static toSvg(container, { title = '', titleHeight = 28 } = {}) {
+      const bounds = container.getBoundingClientRect();
+      const width = Math.round(bounds.width);
+      const top = title ? titleHeight : 0;
+      const height = Math.round(bounds.height) + top;
+
+      const containerStyle = getComputedStyle(container);
+
+      const svg = this._element('svg', { width, height, viewBox: `0 0 ${width} ${height}` });
+      svg.appendChild(this._element('rect', {
+        width, height, fill: this._isTransparent(containerStyle.backgroundColor) ? '#fff' : containerStyle.backgroundColor
+      }));
+
+      if (title) {
+        const text = this._element('text', {
+          x: 8, y: titleHeight / 2, 'dominant-baseline': 'central',
+          'font-family': containerStyle.fontFamily, 'font-size': 13, 'font-weight': 'bold', fill: '#333'
+        });
+        text.textContent = title;
+        svg.appendChild(text);
+      }
+
+      const body = this._element('g', { transform: `translate(0,${top})` });
+      svg.appendChild(body);
+
+      // The chart itself, with its styles inlined
+      const chartSvg = container.querySelector('svg');
+      if (chartSvg) {
+        const chartBounds = chartSvg.getBoundingClientRect();
+        const chart = chartSvg.cloneNode(true);
+        this._inlineStyles(chartSvg, chart);
+        chart.setAttribute('x', chartBounds.left - bounds.left);
+        chart.setAttribute('y', chartBounds.top - bounds.top);
+        chart.setAttribute('width', chartBounds.width);
+        chart.setAttribute('height', chartBounds.height);
+        body.appendChild(chart);
+      }
+
+      // Plugin overlays on top, in stacking order
+      for (const element of this._overlayElements(container)) {
+        body.appendChild(this._overlayToSvg(element, container, bounds));
+      }
+
+      return svg;
+    }
+
+    /**
+     * Render a chart container as an image file
+     * @param {HTMLElement} container - Chart container
+     * @param {Object} [options] - Export options
+     * @param {('png'|'svg')} [options.format='png'] - Image format
+     * @param {number} [options.scale=2] - Pixel ratio of PNG images
+     * @param {string} [options.title] - Title line drawn above the chart
+     * @returns {Promise<Blob>} Image data
+     */
+    static async toBlob(container, { format = 'png', scale = 2, title = '' } = {}) {
+      const svg = this.toSvg(container, { title });
+      const markup = new XMLSerializer().serializeToString(svg);
+
+      if (format === 'svg') {
+        return new Blob([markup], { type: 'image/svg+xml' });
+      }
+
+      const image = new Image();
+      image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+      await image.decode();
+
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(svg.width.baseVal.value * scale);
+      canvas.height = Math.round(svg.height.baseVal.value * scale);
+
+      const context = canvas.getContext('2d');
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0);
+
+      return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode the image')), 'image/png');
+      });
+    }
+
+    /**
+     * Copy computed presentation styles from a rendered SVG onto its clone
+     * @param {SVGElement} source - Rendered SVG
+     * @param {SVGElement} target - Clone of the same SVG
+     * @private
+     */
+    static _inlineStyles(source, target) {
+      const sources = [source, ...source.querySelectorAll('*')];
+      const targets = [target, ...target.querySelectorAll('*')];
+
+      sources.forEach((element, i) => {
+        const style = getComputedStyle(element);
+        const declarations = SVG_STYLE_PROPERTIES
+          .map(property => [property, style.getPropertyValue(property)])
+          .filter(([, value]) => value !== '')
+          .map(([property, value]) => `${property}:${value}`);
+        targets[i].setAttribute('style', declarations.join(';'));
+      });
+    }
+
+    /**
+     * Find the visible HTML overlays in a container, sorted by z-index
+     * @param {HTMLElement} container - Chart container
+     * @returns {HTMLElement[]} Overlay elements, including nested ones
+     * @private
+     */
+    static _overlayElements(container) {
+      const stackOrder = (element) => {
+        let child = element;
+        while (child.parentElement !== container) child = child.parentElement;
+        return parseInt(getComputedStyle(child).zIndex, 10) || 0;
+      };
+
+      return [...container.querySelectorAll('*')]
+        .filter(element => element instanceof HTMLElement && element.tagName !== 'I')
+        .filter(element => this._effectiveOpacity(element, container) > 0)
+        .map((element, order) => ({ element, order, z: stackOrder(element) }))
+        .sort((a, b) => a.z - b.z || a.order - b.order)
+        .map(({ element }) => element);
+    }
+
+    /**
+     * Opacity of an element including its ancestors, or 0 if any of them is hidden
+     * @param {HTMLElement} element - Overlay element
+     * @param {HTMLElement} container - Chart container
+     * @returns {number} Opacity between 0 and 1
+     * @private
+     */
+    static _effectiveOpacity(element, container) {
+      let opacity = 1;
+      for (let node = element; node && node !== container; node = node.parentElement) {
+        const style = getComputedStyle(node);
+        if (style.display === 'none' || style.visibility === 'hidden') return 0;
+        const own = parseFloat(style.opacity);
+        if (!Number.isNaN(own)) opacity *= own;
+      }
+      return opacity;
+    }
+
+    /**
+     * Redraw one HTML overlay as SVG: its background, borders and own text
+     * @param {HTMLElement} element - Overlay element
+     * @param {HTMLElement} container - Chart container
+     * @param {DOMRect} bounds - Container bounds, the origin of the image
+     * @returns {SVGGElement} Group with the overlay's shapes
+     * @private
+     */
+    static _overlayToSvg(element, container, bounds) {
+      const style = getComputedStyle(element);
+      const box = element.getBoundingClientRect();
+      const x = box.left - bounds.left;
+      const y = box.top - bounds.top;
+
+      const group = this._element('g', { opacity: this._effectiveOpacity(element, container) });
+
+      if (!this._isTransparent(style.backgroundColor) && box.width > 0 && box.height > 0) {
+        const radius = parseFloat(style.borderTopLeftRadius) || 0;
+        group.appendChild(this._element('rect', {
+          x, y, width: box.width, height: box.height, rx: radius, ry: radius, fill: style.backgroundColor
+        }));
+      }
+
+      const sides = {
+        Top: [x, y, x + box.width, y],
+        Bottom: [x, y + box.height, x + box.width, y + box.height],
+        Left: [x, y, x, y + box.height],
+        Right: [x + box.width, y, x + box.width, y + box.height]
+      };
+      for (const [side, [x1, y1, x2, y2]] of Object.entries(sides)) {
+        const width = parseFloat(style[`border${side}Width`]);
+        const lineStyle = style[`border${side}Style`];
+        if (!width || lineStyle === 'none' || lineStyle === 'hidden') continue;
+
+        group.appendChild(this._element('line', {
+          x1, y1, x2, y2,
+          stroke: style[`border${side}Color`],
+          'stroke-width': width,
+          'stroke-dasharray': BORDER_DASHES[lineStyle] || null
+        }));
+      }
+
+      const text = [...element.childNodes]
+        .filter(node => node.nodeType === Node.TEXT_NODE)
+        .map(node => node.textContent)
+        .join('')
+        .trim();
+      if (text) {
+        const label = this._element('text', {
+          x: x + (parseFloat(style.borderLeftWidth) || 0) + (parseFloat(style.paddingLeft) || 0),
+          y: y + box.height / 2,
+          'dominant-baseline': 'central',
+          fill: style.color,
+          'font-family': style.fontFamily,
+          'font-size': style.fontSize,
+          'font-weight': style.fontWeight
+        });
+        label.textContent = text;
+        group.appendChild(label);
+      }
+
+      return group;
+    }
+
+    /**
+     * Whether a CSS color is fully transparent
+     * @param {string} color - Computed color
+     * @returns {boolean} True if nothing would be painted
+     * @private
+     */
+    static _isTransparent(color) {
+      return !color || color === 'transparent' || /rgba\(.*,\s*0\)$/.test(color);
+    }
+
+    /**
+     * Create an SVG element with attributes (null attributes are skipped)
+     * @param {string} tag - Element name
+     * @param {Object} attributes - Attribute values
+     * @returns {SVGElement} Element
+     * @private
+     */
+    static _element(tag, attributes = {}) {
+      const element = document.createElementNS(SVG_NS, tag);
+      for (const [name, value] of Object.entries(attributes)) {
+        if (value !== null && value !== undefined) element.setAttribute(name, value);
+      }
+      return element;
+    }
+  }
+
+  global.ChartImageExporter = ChartImageExporter;
+})(window);
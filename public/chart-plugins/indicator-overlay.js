@@ -0,0 +1,158 @@
+/**
+ * Indicator Overlay Plugin
+ * Draws server-computed indicators (moving averages, bands, VWAP) over the price chart,
+ * with a small legend in the top-left corner.
+ */
+
+class IndicatorOverlayPlugin extends ChartPlugin {
+  /**
+   * Create a new indicator overlay plugin
+   * @param {Object} options - Plugin options
+   */
+  constructor(options = {}) {
+    super({
+      lineWidth: 1.5,            // Width of indicator lines
+      bandOpacity: 0.08,         // Fill opacity between upper and lower bands
+      showLegend: true,          // Whether to show the legend
+      ...options
+    });
+
+    /**
+     * Overlays to draw
+     * @type {Array<{id: string, label: string, color: string, values: Object[]}>}
+     */
+    this.series = [];
+
+    // References to D3 and DOM elements
+    this.group = null;
+    this.legend = null;
+  }
+
+  /**
+   * Initialize the plugin
+   * @param {Object} chart - Chart renderer
+   * @param {HTMLElement} container - Container element
+   */
+  init(chart, container) {
+    super.init(chart, container);
+
+    // Draw inside the clipped chart area, above the price line
+    this.group = this.chart.chartGroup.append('g')
+      .attr('class', 'indicator-overlays');
+
+    this.legend = document.createElement('div');
+    this.legend.className = 'indicator-legend';
+    this.container.appendChild(this.legend);
+
+    return this;
+  }
+
+  /**
+   * Replace the overlays to draw
+   * Each value point carries a timestamp and either `value` (a single line)
+   * or `upper`/`middle`/`lower` (a band).
+   * @param {Array<{id: string, label: string, color: string, values: Object[]}>} series - Overlays
+   */
+  setSeries(series) {
+    this.series = series;
+    this.render();
+  }
+
+  /**
+   * Render the overlay lines and legend
+   */
+  render() {
+    if (!this.chart || !this.enabled || this.series.length === 0) {
+      this.clear();
+      return;
+    }
+
+    const { x, y } = this.chart;
+    const line = (field) => d3.line()
+      .defined(d => d[field] !== null)
+      .x(d => x(new Date(d.timestamp)))
+      .y(d => y(d[field]));
+
+    this.group.selectAll('*').remove();
+
+    for (const overlay of this.series) {
+      const g = this.group.append('g').attr('class', `indicator-${overlay.id}`);
+      const isBand = overlay.values.length > 0 && 'upper' in overlay.values[0];
+
+      if (isBand) {
+        const area = d3.area()
+          .defined(d => d.upper !== null)
+          .x(d => x(new Date(d.timestamp)))
+          .y0(d => y(d.lower))
+          .y1(d => y(d.upper));
+
+        g.append('path')
+          .attr('d', area(overlay.values))
+          .attr('fill', overlay.color)
+          .attr('opacity', this.options.bandOpacity);
+      }
+
+      const fields = isBand ? ['upper', 'middle', 'lower'] : ['value'];
+      for (const field of fields) {
+        g.append('path')
+          .attr('d', line(field)(overlay.values))
+          .attr('fill', 'none')
+          .attr('stroke', overlay.color)
+          .attr('stroke-width', this.options.lineWidth)
+          .attr('stroke-dasharray', field === 'middle' ? '4,3' : null);
+      }
+    }
+
+    this._renderLegend();
+  }
+
+  /**
+   * Render the legend with each overlay's label and latest value
+   * @private
+   */
+  _renderLegend() {
+    if (!this.options.showLegend) return;
+
+    // Keep the legend inside the plot area, clear of the y axis
+    const { margin } = this.chart.dimensions;
+    this.legend.style.left = `${margin.left + 8}px`;
+    this.legend.style.top = `${margin.top + 8}px`;
+
+    this.legend.innerHTML = '';
+    for (const overlay of this.series) {
+      const last = [...overlay.values].reverse().find(d => (d.value ?? d.middle) !== null);
+
+      const item = document.createElement('div');
+      item.style.color = overlay.color;
+      item.textContent = last
+        ? `${overlay.label}: ${this.formatPrice(last.value ?? last.middle)}`
+        : overlay.label;
+      this.legend.appendChild(item);
+    }
+    this.legend.style.display = 'block';
+  }
+
+  /**
+   * Clear the overlay lines and legend
+   */
+  clear() {
+    if (this.group) {
+      this.group.selectAll('*').remove();
+    }
+    if (this.legend) {
+      this.legend.style.display = 'none';
+    }
+  }
+
+  /**
+   * Destroy the plugin
+   */
+  destroy() {
+    if (this.group) this.group.remove();
+    if (this.legend) this.legend.remove();
+    super.destroy();
+  }
+}
+
+// Make available globally
+window.IndicatorOverlayPlugin = IndicatorOverlayPlugin;
@@ -107,8 +107,8 @@ class MiddleLinePlugin extends ChartPlugin {
     this.lowPrice = low;
     
     // Format values for display
-    const formattedMiddle = this._formatPrice(middle);
-    const formattedRange = this._formatPrice(high - low);
+    const formattedMiddle = this.formatPrice(middle);
+    const formattedRange = this.formatPrice(high - low);
     const percentRange = ((high - low) / middle * 100).toFixed(2);
     
     // Create a simple label with just the price
@@ -139,22 +139,6 @@ class MiddleLinePlugin extends ChartPlugin {
       this.priceLine.clear();
     }
   }
-  
-  /**
-   * Format price for display
-   * @param {number} price - Price to format
-   * @returns {string} Formatted price
-   * @private
-   */
-  _formatPrice(price) {
-    // Use the chart's utility if available
-    if (window.ChartUtils && typeof window.ChartUtils.formatPrice === 'function') {
-      return window.ChartUtils.formatPrice(price);
-    }
-    
-    // Basic formatting fallback
-    return price.toFixed(2);
-  }
 }
 
 // Make available globally
@@ -301,7 +301,7 @@ class PriceGuidePlugin extends ChartPlugin {
     const price = this._calculatePriceAtPosition(y);
     
     // Format the price based on market price (could be very small for some coins)
-    const formattedPrice = ChartUtils.formatPrice(price);
+    const formattedPrice = this.formatPrice(price);
     
     // Update label text
     this.guideLabel.textContent = formattedPrice;
@@ -395,22 +395,6 @@ class PriceGuidePlugin extends ChartPlugin {
     return `${percent >= 0 ? '+' : ''}${percent.toFixed(decimals)}%`;
   }
   
-  /**
-   * Format price for display
-   * @param {number} price - Price to format
-   * @returns {string} Formatted price
-   * @private
-   */
-  _formatPrice(price) {
-    // Use the chart's utility if available
-    if (window.ChartUtils && typeof window.ChartUtils.formatPrice === 'function') {
-      return window.ChartUtils.formatPrice(price);
-    }
-    
-    // Basic formatting fallback
-    return price.toFixed(2);
-  }
-  
   /**
    * Handle click event (for touch devices)
    * @param {MouseEvent} event - Click event
@@ -226,7 +226,7 @@ class PriceLinePlugin extends ChartPlugin {
     let labelText = this.options.label;
     if (labelText === null) {
       // Use formatted price as default label
-      labelText = this._formatPrice(this.options.price);
+      labelText = this.formatPrice(this.options.price, { compact: isSmallScreen });
     }
     
     // Set tooltip/title if provided, otherwise use label
@@ -317,22 +317,6 @@ class PriceLinePlugin extends ChartPlugin {
     }
   }
   
-  /**
-   * Format price for display
-   * @param {number} price - Price to format
-   * @returns {string} Formatted price
-   * @private
-   */
-  _formatPrice(price) {
-    // Use the chart's utility if available
-    if (window.ChartUtils && typeof window.ChartUtils.formatPrice === 'function') {
-      return window.ChartUtils.formatPrice(price);
-    }
-    
-    // Basic formatting fallback
-    return price.toFixed(2);
-  }
-  
   /**
    * Override setEnabled to handle visibility
    * @param {boolean} enabled - Whether the plugin should be enabled
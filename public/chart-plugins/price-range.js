@@ -296,11 +296,11 @@ class PriceRangePlugin extends ChartPlugin {
     // Update labels
     this.topLabel.style.display = 'block';
     this.topLabel.style.top = `${topY}px`;
-    this.topLabel.textContent = this._formatPrice(topPrice);
+    this.topLabel.textContent = this.formatPrice(topPrice);
     
     this.bottomLabel.style.display = 'block';
     this.bottomLabel.style.top = `${bottomY}px`;
-    this.bottomLabel.textContent = this._formatPrice(bottomPrice);
+    this.bottomLabel.textContent = this.formatPrice(bottomPrice);
     
     // Calculate percentage difference
     const priceDiff = Math.abs(topPrice - bottomPrice);
@@ -329,22 +329,6 @@ class PriceRangePlugin extends ChartPlugin {
     return y >= margin.top && y <= (chartRect.height - margin.bottom);
   }
   
-  /**
-   * Format price for display
-   * @param {number} price - Price to format
-   * @returns {string} Formatted price
-   * @private
-   */
-  _formatPrice(price) {
-    // Use the chart's utility if available
-    if (window.ChartUtils && typeof window.ChartUtils.formatPrice === 'function') {
-      return window.ChartUtils.formatPrice(price);
-    }
-    
-    // Basic formatting fallback
-    return price.toFixed(2);
-  }
-  
   /**
    * Render the price range
    * No-op since this plugin is event-driven
@@ -44,38 +44,51 @@
      * @param {d3.Selection} axisSelection - D3 axis group selection
      * @param {d3.ScaleTime} scale - D3 time scale
      * @param {Object} dimensions - Chart dimensions { width, height, margin }
+     * @param {string|null} [timezone] - IANA timezone for tick placement and labels; browser time if not set
      */
-    static render(axisSelection, scale, dimensions) {
+    static render(axisSelection, scale, dimensions, timezone = null) {
       const { width } = dimensions;
       const domain = scale.domain();
       const rangeMs = domain[1] - domain[0];
       const factor = width < 480 ? 1.5 : (width < 768 ? 1.2 : 1);
       const tickCount = Math.round(this.calculateBaseTicks(width) * factor);
       const formatString = this.getFormatString(width, rangeMs);
-      const formatFn = d3.timeFormat(formatString);
 
       // Determine appropriate time unit and interval to avoid duplicate labels
       const twoDaysMs = 2 * 24 * 60 * 60 * 1000;
       const oneHourMs = 60 * 60 * 1000;
       let unit, unitMs;
       if (rangeMs > twoDaysMs) {
-        unit = d3.timeDay;
+        unit = timezone ? d3.utcDay : d3.timeDay;
         unitMs = 24 * 60 * 60 * 1000;
       } else if (rangeMs > oneHourMs) {
-        unit = d3.timeHour;
+        unit = timezone ? d3.utcHour : d3.timeHour;
         unitMs = 60 * 60 * 1000;
       } else {
-        unit = d3.timeMinute;
+        unit = timezone ? d3.utcMinute : d3.timeMinute;
         unitMs = 60 * 1000;
       }
       const numUnits = rangeMs / unitMs;
       const interval = Math.max(1, Math.ceil(numUnits / tickCount));
 
-      axisSelection.call(
-        d3.axisBottom(scale)
-          .ticks(unit.every(interval))
-          .tickFormat(formatFn)
-      );
+      const axis = d3.axisBottom(scale);
+      if (!timezone) {
+        axis.ticks(unit.every(interval)).tickFormat(d3.timeFormat(formatString));
+      } else {
+        // Place ticks on the timezone's wall clock: shift into "local as UTC" time,
+        // step with UTC intervals there, then shift each tick back
+        const offset = (time) => global.ChartUtils.timezoneOffset(timezone, time);
+        const toWall = (time) => new Date(+time + offset(+time));
+        const fromWall = (wall) => new Date(+wall - offset(+wall - offset(+wall)));
+        const format = d3.utcFormat(formatString);
+
+        const ticks = unit.every(interval)
+          .range(toWall(domain[0]), new Date(+toWall(domain[1]) + 1))
+          .map(fromWall);
+        axis.tickValues(ticks).tickFormat(d => format(toWall(d)));
+      }
+
+      axisSelection.call(axis);
     }
   }
 
@@ -0,0 +1,86 @@
+// ===================================================
+// Helpers shared by the page and the server
+// ===================================================
+/**
+ * Pure helpers without browser or Node dependencies. The page loads this file
+ * as a script before utils.js (window.SharedUtils); the server requires it
+ * (lib/intervals.js, lib/export.js), so both sides agree on candle boundaries
+ * and write CSV downloads alike.
+ */
+const SharedUtils = {
+    /** Columns of a full candle, in export order */
+    CANDLE_COLUMNS: ['timestamp', 'date', 'open', 'high', 'low', 'close', 'volume', 'closeTime', 'quoteVolume', 'trades'],
+
+    /**
+     * Serialize rows as CSV
+     * Fields with a separator, quote or line break are quoted; null and undefined are empty.
+     * @param {Object[]} rows - Rows to serialize
+     * @param {string[]} columns - Columns to include, in order
+     * @returns {string} CSV text with a header line
+     */
+    toCsv(rows, columns) {
+        const field = (value) => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [columns.join(',')];
+        rows.forEach(row => lines.push(columns.map(column => field(row[column])).join(',')));
+        return lines.join('\r\n') + '\r\n';
+    },
+
+    /** @type {Map<string, Intl.DateTimeFormat>} Formatters used by timezoneOffset, by timezone */
+    timezoneFormatters: new Map(),
+
+    /**
+     * Whether a timezone name is known to the runtime
+     * @param {string} timezone - IANA timezone name (e.g. "America/New_York")
+     * @returns {boolean} True if valid
+     */
+    isValidTimezone(timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Offset of a timezone from UTC at a moment in time
+     * @param {string} timezone - IANA timezone name
+     * @param {number} time - Time in milliseconds
+     * @returns {number} Offset in milliseconds (local time minus UTC)
+     */
+    timezoneOffset(timezone, time) {
+        if (timezone === 'UTC') return 0;
+
+        const formatters = SharedUtils.timezoneFormatters;
+        if (!formatters.has(timezone)) {
+            formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                hourCycle: 'h23',
+                year: 'numeric', month: 'numeric', day: 'numeric',
+                hour: 'numeric', minute: 'numeric', second: 'numeric'
+            }));
+        }
+
+        const parts = {};
+        formatters.get(timezone).formatToParts(new Date(time)).forEach(({ type, value }) => {
+            parts[type] = parseInt(value, 10);
+        });
+
+        const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return local - Math.floor(time / 1000) * 1000;
+    }
+};
+
+// Make available globally in the page
+if (typeof window !== 'undefined') {
+    window.SharedUtils = SharedUtils;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SharedUtils;
+}
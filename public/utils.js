@@ -16,14 +16,51 @@ class URLHandler {
         const params = { ...defaults };
 
         // Get parameters with validation
+        // Symbols use the same format the server accepts
         if (urlParams.has('symbol')) {
-            params.symbol = urlParams.get('symbol');
+            const symbol = ChartUtils.normalizeSymbol(urlParams.get('symbol'));
+            if (symbol) {
+                params.symbol = symbol;
+            }
         }
 
         if (urlParams.has('interval')) {
             params.interval = urlParams.get('interval');
         }
 
+        // Candle alignment: an IANA timezone and the local time sessions start at
+        if (urlParams.has('timezone')) {
+            const timezone = urlParams.get('timezone');
+            if (ChartUtils.isValidTimezone(timezone)) {
+                params.timezone = timezone;
+            }
+        }
+
+        if (urlParams.has('sessionStart')) {
+            const sessionStart = urlParams.get('sessionStart');
+            if (/^([01]\d|2[0-3]):[0-5]\d$/.test(sessionStart)) {
+                params.sessionStart = sessionStart;
+            }
+        }
+
+        if (urlParams.has('exchange')) {
+            params.exchange = urlParams.get('exchange');
+        }
+
+        if (urlParams.has('chartType')) {
+            const chartType = urlParams.get('chartType');
+            if (['line', 'candles', 'ohlc'].includes(chartType)) {
+                params.chartType = chartType;
+            }
+        }
+
+        // Indicator overlays, as a comma-separated list of preset ids
+        if (urlParams.has('overlays')) {
+            params.overlays = urlParams.get('overlays')
+                .split(',')
+                .filter(id => /^[a-z0-9]+$/.test(id));
+        }
+
         if (urlParams.has('limit')) {
             const parsedLimit = parseInt(urlParams.get('limit'), 10);
             if (!isNaN(parsedLimit) && parsedLimit > 0) {
@@ -31,6 +68,14 @@ class URLHandler {
             }
         }
 
+        // Date range, as YYYY-MM-DD days
+        ['from', 'to'].forEach(name => {
+            const value = urlParams.get(name);
+            if (value && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+                params[name] = value;
+            }
+        });
+
         if (urlParams.has('threshold')) {
             const parsedThreshold = parseFloat(urlParams.get('threshold'));
             if (!isNaN(parsedThreshold) && parsedThreshold >= 0) {
@@ -81,6 +126,39 @@ class URLHandler {
         urlParams.set('limit', params.limit.toString());
         urlParams.set('threshold', params.threshold.toString());
 
+        // Date range is only added when set
+        if (params.from) {
+            urlParams.set('from', params.from);
+        }
+
+        if (params.to) {
+            urlParams.set('to', params.to);
+        }
+
+        // Alignment is only added when set
+        if (params.timezone) {
+            urlParams.set('timezone', params.timezone);
+        }
+
+        if (params.sessionStart) {
+            urlParams.set('sessionStart', params.sessionStart);
+        }
+
+        // Exchange is only added when it differs from the default (Binance)
+        if (params.exchange && params.exchange !== 'binance') {
+            urlParams.set('exchange', params.exchange);
+        }
+
+        // Chart type is only added when it differs from the default line chart
+        if (params.chartType && params.chartType !== 'line') {
+            urlParams.set('chartType', params.chartType);
+        }
+
+        // Overlays are only added when any are shown
+        if (params.overlays && params.overlays.length > 0) {
+            urlParams.set('overlays', params.overlays.join(','));
+        }
+
         // Add threshold slider settings if they differ from defaults
         if (thresholdRange.min !== 0) {
             urlParams.set('thresholdMin', thresholdRange.min.toString());
@@ -105,28 +183,248 @@ class URLHandler {
 // ===================================================
 // SERVICES - API communication
 // ===================================================
+/**
+ * Error returned by the API, carrying the server's error code
+ */
+class ApiRequestError extends Error {
+    /**
+     * Create an API request error
+     * @param {number} status - HTTP status
+     * @param {string} code - Server error code (e.g. "SYMBOL_NOT_FOUND")
+     * @param {string} message - Server error message
+     * @param {string|null} [field=null] - Query parameter the error relates to
+     * @param {string|null} [requestId=null] - Correlation ID of the request, for finding it in server logs
+     */
+    constructor(status, code, message, field = null, requestId = null) {
+        super(message);
+        this.name = 'ApiRequestError';
+        this.status = status;
+        this.code = code;
+        this.field = field;
+        this.requestId = requestId;
+    }
+}
+
 /**
  * Service for fetching data from API
  */
 class ApiService {
+    /**
+     * Fetch from the API, turning error responses into ApiRequestError
+     * @param {string} apiUrl - URL to fetch
+     * @param {boolean} [revalidate=false] - Check with the server even if the browser holds a fresh copy
+     * @returns {Promise<Response>} Successful response
+     * @throws {ApiRequestError} If the server answers with an error status
+     * @private
+     */
+    static async _request(apiUrl, revalidate = false) {
+        const response = await fetch(apiUrl, revalidate ? { cache: 'no-cache' } : {});
+
+        if (!response.ok) {
+            let body = {};
+            try {
+                body = await response.json();
+            } catch (e) {
+                // Not a structured error (e.g. a proxy error page)
+            }
+            throw new ApiRequestError(
+                response.status,
+                body.code || 'HTTP_ERROR',
+                body.message || `API error: ${response.status}`,
+                body.field || null,
+                response.headers.get('X-Request-Id')
+            );
+        }
+
+        return response;
+    }
+
+    /**
+     * Build the query string selecting a candle series
+     * @param {string} symbol - Trading pair symbol
+     * @param {string} interval - Time interval
+     * @param {number} limit - Number of candles
+     * @param {string} exchange - Exchange adapter id
+     * @param {SeriesRange} range - Optional time range and candle alignment
+     * @returns {URLSearchParams} Query parameters
+     * @private
+     */
+    static _seriesQuery(symbol, interval, limit, exchange, range) {
+        const query = new URLSearchParams({ exchange, symbol, interval, limit: String(limit) });
+
+        if (range.startTime !== undefined) {
+            query.set('startTime', String(range.startTime));
+        }
+
+        if (range.endTime !== undefined) {
+            query.set('endTime', String(range.endTime));
+        }
+
+        if (range.timezone) {
+            query.set('timezone', range.timezone);
+        }
+
+        if (range.sessionStart) {
+            query.set('sessionStart', range.sessionStart);
+        }
+
+        return query;
+    }
+
     /**
      * Fetch price data from API
      * @param {string} symbol - Trading pair symbol
      * @param {string} interval - Time interval
      * @param {number} limit - Number of data points
      * @returns {Promise<PriceDataPoint[]>} Price data
-     * @throws {Error} If API request fails
+     * @throws {ApiRequestError} If API request fails
      */
     static async fetchPriceData(symbol, interval, limit) {
-        const apiUrl = `/api/btc-price?symbol=${symbol}&interval=${interval}&limit=${limit}`;
+        const query = new URLSearchParams({ symbol, interval, limit: String(limit) });
+        const response = await ApiService._request(`/api/btc-price?${query}`);
+        return await response.json();
+    }
 
-        const response = await fetch(apiUrl);
-        if (!response.ok) {
-            throw new Error(`API error: ${response.status}`);
+    /**
+     * Fetch full OHLCV candles from API
+     * Each candle also gets a `price` field (the close) so it can be used
+     * anywhere a PriceDataPoint is expected.
+     * @param {string} symbol - Trading pair symbol
+     * @param {string} interval - Time interval
+     * @param {number} limit - Number of candles
+     * @param {string} [exchange='binance'] - Exchange adapter id
+     * @param {SeriesRange} [range={}] - Optional time range and candle alignment;
+     *        with a start time the server returns the whole range and ignores the limit
+     * @param {{method: ('lttb'|'minmax'|'ohlc-bucket'), points: number}|null} [reduction=null] - Optional
+     *        server-side downsampling to at most `points` candles
+     * @param {boolean} [revalidate=false] - Bypass the browser cache (the server still answers 304 if unchanged)
+     * @returns {Promise<{candles: Candle[], stale: boolean, originalCount: number|null}>} Candle data, whether
+     *          the server fell back to old data because the exchange was unavailable, and the series length
+     *          before downsampling (null if it was not reduced)
+     * @throws {ApiRequestError} If API request fails
+     */
+    static async fetchCandles(symbol, interval, limit, exchange = 'binance', range = {}, reduction = null, revalidate = false) {
+        const query = ApiService._seriesQuery(symbol, interval, limit, exchange, range);
+
+        if (reduction) {
+            query.set('downsample', reduction.method);
+            query.set('points', String(reduction.points));
         }
 
+        const response = await ApiService._request(`/api/v1/candles?${query}`, revalidate);
+        const candles = await response.json();
+        const originalCount = response.headers.get('X-Original-Count');
+
+        return {
+            candles: candles.map(candle => ({ ...candle, price: candle.close })),
+            stale: response.headers.get('X-Data-Stale') === 'true',
+            originalCount: originalCount === null ? null : parseInt(originalCount, 10)
+        };
+    }
+
+    /**
+     * Build the URL that downloads a candle series as a file
+     * The server answers with a Content-Disposition attachment, so a plain link downloads it.
+     * @param {string} symbol - Trading pair symbol
+     * @param {string} interval - Time interval
+     * @param {number} limit - Number of candles
+     * @param {string} [exchange='binance'] - Exchange adapter id
+     * @param {SeriesRange} [range={}] - Optional time range and candle alignment
+     * @param {('csv'|'json'|'ndjson')} [format='csv'] - File format
+     * @returns {string} Export URL
+     */
+    static exportUrl(symbol, interval, limit, exchange = 'binance', range = {}, format = 'csv') {
+        const query = ApiService._seriesQuery(symbol, interval, limit, exchange, range);
+        query.set('format', format);
+        return `/api/v1/export?${query}`;
+    }
+
+    /**
+     * Fetch the symbols listed on an exchange
+     * @param {string} [exchange='binance'] - Exchange adapter id
+     * @returns {Promise<SymbolInfo[]>} Symbol descriptions
+     * @throws {ApiRequestError} If API request fails
+     */
+    static async fetchSymbols(exchange = 'binance') {
+        const response = await ApiService._request(`/api/symbols?exchange=${exchange}`);
         return await response.json();
     }
+
+    /**
+     * Fetch a technical indicator computed over a candle series
+     * The series is selected exactly like fetchCandles, so the server answers from the same cache.
+     * @param {string} indicator - Indicator id (e.g. "sma", "bollinger")
+     * @param {Object<string, number>} indicatorParams - Indicator parameters (e.g. {period: 20})
+     * @param {string} symbol - Trading pair symbol
+     * @param {string} interval - Time interval
+     * @param {number} limit - Number of candles
+     * @param {string} [exchange='binance'] - Exchange adapter id
+     * @param {SeriesRange} [range={}] - Optional time range and candle alignment
+     * @returns {Promise<Object[]>} One point per candle with a timestamp and the indicator's fields
+     * @throws {ApiRequestError} If API request fails
+     */
+    static async fetchIndicator(indicator, indicatorParams, symbol, interval, limit, exchange = 'binance', range = {}) {
+        const query = ApiService._seriesQuery(symbol, interval, limit, exchange, range);
+        query.set('indicator', indicator);
+        for (const [name, value] of Object.entries(indicatorParams)) {
+            query.set(name, String(value));
+        }
+
+        const response = await ApiService._request(`/api/indicators?${query}`);
+        const { values } = await response.json();
+        return values;
+    }
+}
+
+/**
+ * Service for live candle updates over Server-Sent Events
+ */
+class CandleStreamService {
+    constructor() {
+        /** @type {EventSource|null} Open event source */
+        this.source = null;
+
+        /** @type {string|null} URL of the open stream */
+        this.url = null;
+    }
+
+    /**
+     * Connect to the live stream for a series, replacing any previous stream
+     * Reconnecting to the same series is a no-op.
+     * @param {string} symbol - Trading pair symbol
+     * @param {string} interval - Time interval
+     * @param {string} exchange - Exchange adapter id
+     * @param {function(Candle): void} onCandle - Called with each candle update
+     * @param {{timezone?: string, sessionStart?: string}} [alignment={}] - Candle alignment
+     */
+    connect(symbol, interval, exchange, onCandle, alignment = {}) {
+        const query = new URLSearchParams({ exchange, symbol, interval });
+        if (alignment.timezone) query.set('timezone', alignment.timezone);
+        if (alignment.sessionStart) query.set('sessionStart', alignment.sessionStart);
+
+        const url = `/api/v1/stream?${query}`;
+        if (this.source && this.url === url) return;
+
+        this.close();
+        this.url = url;
+        this.source = new EventSource(url);
+
+        this.source.addEventListener('candle', (event) => {
+            const candle = JSON.parse(event.data);
+            onCandle({ ...candle, price: candle.close });
+        });
+    }
+
+    /**
+     * Close the open stream, if any
+     */
+    close() {
+        if (this.source) {
+            this.source.close();
+        }
+        this.source = null;
+        this.url = null;
+    }
 }
 
 // Add ChartUtils object to the existing utils.js file
@@ -134,25 +432,69 @@ class ApiService {
  * Chart-specific utility functions
  */
 const ChartUtils = {
+    /** @type {number|null} Price increment of the charted symbol, from exchange metadata */
+    priceTickSize: null,
+
+    /**
+     * Set the tick size that decides how many decimals prices get
+     * @param {number|null} tickSize - Price increment, or null to fall back to magnitude-based decimals
+     */
+    setPriceTickSize(tickSize) {
+        this.priceTickSize = tickSize > 0 ? tickSize : null;
+    },
+
+    /**
+     * Number of decimals to show for a price
+     * Uses the symbol's tick size when known (0.01 -> 2, 0.00000001 -> 8);
+     * otherwise guesses from the price magnitude, keeping 4 significant digits below 1.
+     * @param {number} price - The price to format
+     * @returns {number} Decimal places
+     */
+    getPriceDecimals(price) {
+        if (this.priceTickSize) {
+            return Math.max(0, Math.ceil(-Math.log10(this.priceTickSize) - 1e-9));
+        }
+
+        const abs = Math.abs(price);
+        if (abs === 0) return 2;
+        if (abs < 1) return Math.min(20, 3 - Math.floor(Math.log10(abs)));
+        if (abs < 10) return 3;
+        if (abs < 100) return 2;
+        return 0;
+    },
+
     /**
-     * Format price for display based on magnitude
+     * Format price for display
+     * Sub-penny prices collapse their leading zeros (0.00001234 -> 0.0₄1234);
+     * compact mode shortens large prices with k/M/B suffixes (67234 -> 67.2k).
      * @param {number} price - The price to format
      * @param {number} [customDecimals] - Optional custom decimal places
+     * @param {{compact?: boolean}} [options={}] - Formatting options
      * @returns {string} Formatted price
      */
-    formatPrice(price, customDecimals) {
-        const magnitude = price > 0 ? Math.pow(10, Math.floor(Math.log10(price))) : 1;
+    formatPrice(price, customDecimals, options = {}) {
+        const abs = Math.abs(price);
+
+        if (options.compact && abs >= 1000) {
+            const [size, suffix] = [[1e9, 'B'], [1e6, 'M'], [1e3, 'k']].find(([unit]) => abs >= unit);
+            const scaled = price / size;
+            const digits = Math.abs(scaled) >= 100 ? 0 : (Math.abs(scaled) >= 10 ? 1 : 2);
+            return `${scaled.toFixed(digits)}${suffix}`;
+        }
+
+        const decimals = customDecimals !== undefined ? customDecimals : this.getPriceDecimals(price);
+        const fixed = price.toFixed(decimals);
 
-        let decimals = customDecimals;
-        if (decimals === undefined) {
-            decimals = 2;
-            if (magnitude < 1) decimals = 4;
-            else if (magnitude < 10) decimals = 3;
-            else if (magnitude < 100) decimals = 2;
-            else decimals = 0;
+        const subPenny = /^(-?)0\.(0{4,})(\d+)$/.exec(fixed);
+        if (subPenny) {
+            const zeros = String(subPenny[2].length).replace(/\d/g, digit => '₀₁₂₃₄₅₆₇₈₉'[digit]);
+            return `${subPenny[1]}0.0${zeros}${subPenny[3]}`;
         }
 
-        return `${price.toFixed(decimals)}`;
+        return Number(fixed).toLocaleString('en-US', {
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals
+        });
     },
 
     /**
@@ -169,6 +511,46 @@ const ChartUtils = {
         };
     },
 
+    /**
+     * Normalize a typed symbol: a trading pair such as `BTCUSDT`, or an expression
+     * over pairs such as `ETHUSDT/BTCUSDT` or `0.5*BTCUSDT+0.5*ETHUSDT`
+     * The server parses expressions; this only rejects obviously invalid input.
+     * @param {string} text - Symbol as typed or read from the URL
+     * @returns {string|null} Upper-case symbol without whitespace, or null if invalid
+     */
+    normalizeSymbol(text) {
+        const symbol = text.replace(/\s+/g, '').toUpperCase();
+        if (/^[A-Z0-9]{2,20}$/.test(symbol)) return symbol;
+        if (/^[A-Z0-9.+\-*/()]{3,200}$/.test(symbol) && /[A-Z]/.test(symbol)) return symbol;
+        return null;
+    },
+
+    /** Columns of a full candle, in export order (see shared-utils.js) */
+    CANDLE_COLUMNS: SharedUtils.CANDLE_COLUMNS,
+
+    /** Serialize rows as CSV, like the server's CSV export (see shared-utils.js) */
+    toCsv: SharedUtils.toCsv,
+
+    /**
+     * Make the browser download a file
+     * @param {string} href - URL to download (a server URL or an object URL)
+     * @param {string} [filename] - Suggested file name; the server's wins for server URLs
+     */
+    downloadFile(href, filename = '') {
+        const link = document.createElement('a');
+        link.href = href;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    },
+
+    /** Whether a timezone name is known to the runtime (see shared-utils.js) */
+    isValidTimezone: SharedUtils.isValidTimezone,
+
+    /** Offset of a timezone from UTC at a moment in time, as the server computes it (see shared-utils.js) */
+    timezoneOffset: SharedUtils.timezoneOffset,
+
     /**
      * Format date for display
      * @param {Date} date - Date to format
@@ -0,0 +1,215 @@
+/**
+ * Mock Binance REST API
+ * Serves the recorded fixtures (see lib/exchanges/local.js) through the
+ * Binance endpoints the app uses, so the server can run against it with
+ * BINANCE_API_URL=http://localhost:4002. Used by the integration tests.
+ *
+ *   GET /api/v3/klines          recorded klines, shifted so the last one is open now
+ *   GET /api/v3/exchangeInfo    recorded exchange info
+ *   GET /api/v3/ping            empty object
+ *
+ * Failures are scripted by queueing responses; each one answers the next
+ * matching request instead of the recorded data:
+ *
+ *   POST   /mock/responses      queue a response: {status, body, headers, delayMs, path, times}
+ *   DELETE /mock/responses      drop queued responses and the request log
+ *   GET    /mock/requests       requests received so far, oldest first
+ *
+ * A queued response with only `delayMs` answers normally after the delay, to
+ * exercise upstream timeouts. The WebSocket streams are not mocked.
+ *
+ * Usage: npm run mock-binance   (MOCK_BINANCE_PORT, default 4002)
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { INTERVAL_MS } = require('../lib/candles');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// Binance defaults and caps for /api/v3/klines
+const DEFAULT_KLINES_LIMIT = 500;
+const MAX_KLINES_LIMIT = 1000;
+
+/**
+ * @typedef {Object} MockResponse
+ * @property {number} [status=200] - HTTP status
+ * @property {*} [body] - JSON body; the recorded data when omitted
+ * @property {Object<string, string>} [headers] - Extra response headers
+ * @property {number} [delayMs=0] - Delay before answering
+ * @property {string} [path="/api/v3/klines"] - Endpoint the response answers
+ * @property {number} [times=1] - Requests the response answers before it is used up
+ */
+
+/**
+ * Create a mock Binance server
+ * @param {Object} [options] - Server options
+ * @param {string} [options.fixturesDir] - Directory holding `klines/` and `exchange-info.json`
+ * @returns {{server: http.Server, requests: Object[], enqueue: function(MockResponse): void,
+ *           reset: function(): void, listen: function(number=): Promise<string>, close: function(): Promise<void>}}
+ *          Server with its request log and controls; `listen` resolves with the base URL
+ */
+function createMockBinance({ fixturesDir = FIXTURES_DIR } = {}) {
+    /** @type {Object[]} Requests received, oldest first */
+    const requests = [];
+
+    /** @type {MockResponse[]} Scripted responses, answered in order */
+    const queue = [];
+
+    /** @type {Map<string, Array[]>} Loaded kline fixtures */
+    const klines = new Map();
+
+    const send = (res, status, body, headers = {}) => {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(body === undefined ? '' : JSON.stringify(body));
+    };
+
+    const readFixture = (file) => JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf8'));
+
+    /**
+     * Answer a klines request the way Binance does
+     * @param {URLSearchParams} params - Query parameters
+     * @returns {{status: number, body: *}} Response
+     */
+    const answerKlines = (params) => {
+        const symbol = params.get('symbol');
+        const interval = params.get('interval');
+        const intervalMs = INTERVAL_MS[interval];
+        if (!intervalMs) {
+            return { status: 400, body: { code: -1120, msg: 'Invalid interval.' } };
+        }
+
+        const file = path.join('klines', `${symbol}-${interval}.json`);
+        if (!klines.has(file)) {
+            if (!fs.existsSync(path.join(fixturesDir, file))) {
+                return { status: 400, body: { code: -1121, msg: 'Invalid symbol.' } };
+            }
+            klines.set(file, readFixture(file));
+        }
+
+        // Move the recording forward by whole intervals so its last candle is the open one
+        const recorded = klines.get(file);
+        const shift = Math.floor(Date.now() / intervalMs) * intervalMs - recorded[recorded.length - 1][0];
+        const startTime = params.has('startTime') ? Number(params.get('startTime')) : -Infinity;
+        const endTime = params.has('endTime') ? Number(params.get('endTime')) : Infinity;
+        const limit = Math.min(Number(params.get('limit')) || DEFAULT_KLINES_LIMIT, MAX_KLINES_LIMIT);
+
+        const rows = recorded
+            .map(([openTime, open, high, low, close, volume, closeTime, ...rest]) =>
+                [openTime + shift, open, high, low, close, volume, closeTime + shift, ...rest])
+            .filter(([openTime]) => openTime >= startTime && openTime <= endTime);
+
+        return { status: 200, body: params.has('startTime') ? rows.slice(0, limit) : rows.slice(-limit) };
+    };
+
+    const answerControl = (req, res, url) => {
+        if (req.method === 'GET' && url.pathname === '/mock/requests') {
+            send(res, 200, requests);
+            return;
+        }
+
+        if (req.method === 'DELETE' && url.pathname === '/mock/responses') {
+            reset();
+            send(res, 204);
+            return;
+        }
+
+        if (req.method === 'POST' && url.pathname === '/mock/responses') {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                try {
+                    enqueue(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+                    send(res, 201, { queued: queue.length });
+                } catch (error) {
+                    send(res, 400, { msg: 'Body must be a JSON response description' });
+                }
+            });
+            return;
+        }
+
+        send(res, 404, { msg: 'Unknown mock control route' });
+    };
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (url.pathname.startsWith('/mock/')) {
+            answerControl(req, res, url);
+            return;
+        }
+
+        requests.push({ time: Date.now(), path: url.pathname, query: Object.fromEntries(url.searchParams) });
+
+        let answer;
+        if (url.pathname === '/api/v3/klines') {
+            answer = answerKlines(url.searchParams);
+        } else if (url.pathname === '/api/v3/ping') {
+            answer = { status: 200, body: {} };
+        } else if (url.pathname === '/api/v3/exchangeInfo') {
+            answer = { status: 200, body: readFixture('exchange-info.json') };
+        } else {
+            answer = { status: 404, body: { code: -1, msg: 'Unknown endpoint.' } };
+        }
+
+        const index = queue.findIndex(scripted => (scripted.path || '/api/v3/klines') === url.pathname);
+        let scripted = {};
+        if (index !== -1) {
+            scripted = queue[index];
+            if (--scripted.remaining === 0) queue.splice(index, 1);
+        }
+
+        const status = scripted.status || answer.status;
+        const body = scripted.body !== undefined ? scripted.body : (scripted.status ? { code: -1, msg: 'Mock error.' } : answer.body);
+        const respond = () => {
+            if (!res.destroyed) send(res, status, body, scripted.headers);
+        };
+
+        if (scripted.delayMs) {
+            setTimeout(respond, scripted.delayMs);
+        } else {
+            respond();
+        }
+    });
+
+    /**
+     * Queue a scripted response
+     * @param {MockResponse} response - Response description
+     */
+    function enqueue(response) {
+        queue.push({ ...response, remaining: response.times || 1 });
+    }
+
+    /**
+     * Drop queued responses and the request log
+     */
+    function reset() {
+        queue.length = 0;
+        requests.length = 0;
+    }
+
+    return {
+        server,
+        requests,
+        enqueue,
+        reset,
+        listen: (port = 0) => new Promise(resolve => {
+            server.listen(port, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+        }),
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(() => resolve());
+        })
+    };
+}
+
+if (require.main === module) {
+    const mock = createMockBinance();
+    mock.listen(process.env.MOCK_BINANCE_PORT || 4002).then(url => {
+        console.log(`Mock Binance on ${url} (start the app with BINANCE_API_URL=${url})`);
+    });
+}
+
+module.exports = {
+    createMockBinance
+};
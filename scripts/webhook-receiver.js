@@ -0,0 +1,58 @@
+/**
+ * Local webhook receiver
+ * Stand-in for a real alert webhook (Slack, a bot, ...) when trying alerts
+ * out locally. Every POST is printed and kept; GET /received lists them.
+ * A `status` query parameter on the webhook URL sets the response status,
+ * e.g. http://localhost:4001/hook?status=500 to exercise delivery retries.
+ *
+ * Usage: npm run webhook-receiver   (WEBHOOK_PORT, default 4001)
+ */
+const http = require('http');
+
+const PORT = process.env.WEBHOOK_PORT || 4001;
+
+// Deliveries kept for GET /received, oldest first
+const MAX_RECEIVED = 100;
+const received = [];
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+
+    if (req.method === 'GET' && url.pathname === '/received') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(received));
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.writeHead(405);
+        res.end();
+        return;
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        let body;
+        try {
+            body = JSON.parse(text);
+        } catch (error) {
+            body = text;
+        }
+
+        const status = parseInt(url.searchParams.get('status'), 10) || 204;
+        const delivery = { time: new Date().toISOString(), path: url.pathname, status, body };
+
+        received.push(delivery);
+        if (received.length > MAX_RECEIVED) received.shift();
+        console.log(JSON.stringify(delivery));
+
+        res.writeHead(status);
+        res.end();
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Webhook receiver on http://localhost:${PORT} (GET /received lists deliveries)`);
+});
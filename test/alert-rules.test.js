@@ -0,0 +1,88 @@
+// Tests for the alert evaluators
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ALERT_TYPES } = require('../lib/alert-rules');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Candle update with a close price
+ * @param {number} close - Close price
+ * @param {number} [timestamp=0] - Open time
+ * @returns {Object} Candle
+ */
+function candle(close, timestamp = 0) {
+    return { timestamp, close, closeTime: timestamp + MINUTE - 1 };
+}
+
+describe('cross alerts', () => {
+    it('trigger when the price crosses the level in the chosen direction', () => {
+        const evaluator = ALERT_TYPES.cross.createEvaluator({ price: 100, direction: 'up' });
+        evaluator.seed([candle(95)]);
+
+        assert.equal(evaluator.update(candle(99), 0), null);
+        assert.deepEqual(evaluator.update(candle(101), 0), { price: 101, direction: 'up', message: 'crossed 100 upward' });
+        assert.equal(evaluator.update(candle(98), 0), null);
+        assert.equal(evaluator.update(candle(102), 0).direction, 'up');
+    });
+
+    it('need a previous price before triggering', () => {
+        const evaluator = ALERT_TYPES.cross.createEvaluator({ price: 100, direction: 'any' });
+
+        assert.equal(evaluator.update(candle(105), 0), null);
+        assert.equal(evaluator.update(candle(95), 0).direction, 'down');
+    });
+});
+
+describe('move alerts', () => {
+    it('trigger on a move within the window and measure the next one afresh', () => {
+        const evaluator = ALERT_TYPES.move.createEvaluator({ percent: 5, window: HOUR, direction: 'any' });
+        const start = Date.UTC(2024, 0, 1);
+
+        assert.equal(evaluator.update(candle(100), start), null);
+        assert.equal(evaluator.update(candle(103), start + 10 * MINUTE), null);
+
+        const trigger = evaluator.update(candle(105), start + 20 * MINUTE);
+        assert.equal(trigger.direction, 'up');
+        assert.equal(trigger.message, 'moved +5.00% within 60m');
+
+        assert.equal(evaluator.update(candle(106), start + 21 * MINUTE), null);
+    });
+
+    it('forget prices older than the window', () => {
+        const evaluator = ALERT_TYPES.move.createEvaluator({ percent: 5, window: HOUR, direction: 'down' });
+        const start = Date.UTC(2024, 0, 1);
+
+        evaluator.update(candle(100), start);
+        assert.equal(evaluator.update(candle(94), start + 2 * HOUR), null);
+        assert.equal(evaluator.update(candle(89), start + 2 * HOUR + MINUTE).direction, 'down');
+    });
+
+    it('stay bounded over a week of ticks every two seconds', () => {
+        const evaluator = ALERT_TYPES.move.createEvaluator({ percent: 50, window: 7 * DAY, direction: 'any' });
+        const start = Date.UTC(2024, 0, 1);
+
+        for (let time = start; time < start + 7 * DAY; time += 2000) {
+            assert.equal(evaluator.update(candle(100 + Math.sin(time / HOUR)), time), null);
+        }
+        assert.equal(evaluator.update(candle(200), start + 7 * DAY).direction, 'up');
+    });
+});
+
+describe('band alerts', () => {
+    it('trigger when the price leaves the band, and again only after re-entering', () => {
+        const evaluator = ALERT_TYPES.band.createEvaluator({ width: 2, lookback: 3 });
+        evaluator.seed([candle(98, 0), candle(102, MINUTE), candle(100, 2 * MINUTE)]);
+
+        // The oldest close drops out: the band is now around 102.5
+        const trigger = evaluator.update(candle(105, 3 * MINUTE), 0);
+        assert.equal(trigger.direction, 'up');
+        assert.equal(trigger.message, 'left the ±2% band above the middle line at 102.5');
+
+        assert.equal(evaluator.update(candle(106, 3 * MINUTE), 0), null);
+        assert.equal(evaluator.update(candle(102.5, 4 * MINUTE), 0), null);
+        assert.equal(evaluator.update(candle(95, 5 * MINUTE), 0).direction, 'down');
+    });
+});
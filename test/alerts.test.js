@@ -0,0 +1,118 @@
+// Integration tests for the alert routes
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startApp } = require('./helpers');
+
+describe('/api/v1/alerts', () => {
+    let app;
+    let receiver;
+    let webhook;
+    const deliveries = [];
+
+    before(async () => {
+        app = await startApp();
+
+        // Records the webhook deliveries it receives
+        receiver = http.createServer((req, res) => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                deliveries.push(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+                res.writeHead(204);
+                res.end();
+            });
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+        webhook = `http://127.0.0.1:${receiver.address().port}/hook`;
+    });
+
+    after(async () => {
+        await app.stop();
+        await new Promise(resolve => receiver.close(resolve));
+    });
+
+    /**
+     * Create an alert through the API
+     * @param {Object} body - Alert fields
+     * @returns {Promise<Response>} Response
+     */
+    const create = (body) => app.admin('/api/v1/alerts', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    it('requires admin credentials', async () => {
+        const response = await app.request('/api/v1/alerts');
+
+        assert.equal(response.status, 401);
+    });
+
+    it('creates, reads, updates and deletes an alert', async () => {
+        const created = await create({ symbol: 'BTCUSDT', type: 'cross', params: { price: 70000 }, webhook, enabled: false });
+        assert.equal(created.status, 201);
+
+        const alert = await created.json();
+        assert.equal(alert.name, 'BTCUSDT cross');
+        assert.equal(alert.interval, '1m');
+        assert.deepEqual(alert.params, { price: 70000, direction: 'any' });
+        assert.equal(alert.status, 'disabled');
+
+        const listed = await (await app.admin('/api/v1/alerts')).json();
+        assert.ok(listed.some(each => each.id === alert.id));
+
+        const patched = await app.admin(`/api/v1/alerts/${alert.id}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ type: 'move', params: { percent: 3, window: '4h' } })
+        });
+        assert.equal(patched.status, 200);
+
+        const updated = await patched.json();
+        assert.equal(updated.type, 'move');
+        assert.deepEqual(updated.params, { percent: 3, window: 4 * 60 * 60 * 1000, direction: 'any' });
+        assert.equal(updated.webhook, webhook);
+
+        const deleted = await app.admin(`/api/v1/alerts/${alert.id}`, { method: 'DELETE' });
+        assert.equal(deleted.status, 204);
+        assert.equal((await app.admin(`/api/v1/alerts/${alert.id}`)).status, 404);
+    });
+
+    it('rejects invalid alerts with 400', async () => {
+        for (const [body, field] of [
+            [{ symbol: 'BTCUSDT', type: 'wobble', webhook }, 'type'],
+            [{ symbol: 'BTCUSDT', type: 'cross', params: {}, webhook }, 'params.price'],
+            [{ symbol: 'BTCUSDT', type: 'move', params: { percent: 1, window: '30d' }, webhook }, 'params.window'],
+            [{ symbol: 'BTCUSDT', type: 'cross', params: { price: 1 }, webhook: 'ftp://example.com' }, 'webhook']
+        ]) {
+            const response = await create(body);
+            assert.equal(response.status, 400, JSON.stringify(body));
+            assert.equal((await response.json()).field, field);
+        }
+    });
+
+    it('sends a test delivery and records it in the history', async () => {
+        const alert = await (await create({ symbol: 'ETHUSDT', type: 'band', webhook, enabled: false })).json();
+
+        const response = await app.admin(`/api/v1/alerts/${alert.id}/test`, { method: 'POST' });
+        assert.equal(response.status, 200);
+
+        const entry = await response.json();
+        assert.equal(entry.test, true);
+        assert.equal(entry.delivery.delivered, true);
+
+        const delivery = deliveries.find(each => each.alert.id === alert.id);
+        assert.equal(delivery.event, 'alert.test');
+        assert.equal(delivery.message, 'ETHUSDT test delivery');
+
+        const history = await (await app.admin(`/api/v1/alerts/history?alertId=${alert.id}`)).json();
+        assert.deepEqual(history.map(each => each.id), [entry.id]);
+    });
+
+    it('lists the alert types', async () => {
+        const types = await (await app.admin('/api/v1/alerts/types')).json();
+
+        assert.deepEqual(types.map(type => type.id), ['cross', 'move', 'band']);
+    });
+});
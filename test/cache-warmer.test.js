@@ -0,0 +1,109 @@
+// Tests for interval-aware cache TTLs and background cache warming
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, upstreamCalls } = require('./helpers');
+const { candleCacheTtl } = require('../lib/candles');
+const { isPermanentFailure, nextWarmDelay } = require('../lib/cache-warmer');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Candle of a given length opened at a time
+ * @param {number} timestamp - Open time
+ * @param {number} durationMs - Candle length
+ * @returns {{timestamp: number, closeTime: number}} Candle
+ */
+function candleAt(timestamp, durationMs) {
+    return { timestamp, closeTime: timestamp + durationMs - 1 };
+}
+
+/**
+ * Wait until a condition holds
+ * @param {function(): boolean} condition - Condition
+ * @param {number} [timeoutMs=5000] - Time to give up after
+ */
+async function waitFor(condition, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+describe('cache TTLs', () => {
+    it('grow with the interval between 5 seconds and an hour', () => {
+        const now = Date.UTC(2024, 0, 1);
+
+        assert.equal(candleCacheTtl(candleAt(now, 60 * 1000), now), 5);
+        assert.equal(candleCacheTtl(candleAt(now, HOUR), now), 300);
+        assert.equal(candleCacheTtl(candleAt(now, 4 * HOUR), now), 1200);
+        assert.equal(candleCacheTtl(candleAt(now, 3 * DAY), now), 3600);
+    });
+
+    it('end when the open candle closes', () => {
+        const opened = Date.UTC(2024, 0, 1);
+
+        assert.equal(candleCacheTtl(candleAt(opened, DAY), opened + DAY - 90 * 1000), 90);
+        assert.equal(candleCacheTtl(candleAt(opened, HOUR), opened + HOUR - 10), 1);
+    });
+
+    it('schedule the next warm-up before expiry, or just after the close', () => {
+        const opened = Date.UTC(2024, 0, 1);
+
+        assert.equal(nextWarmDelay([candleAt(opened, HOUR)], opened), 298 * 1000);
+        assert.equal(nextWarmDelay([candleAt(opened, DAY)], opened + DAY - 60 * 1000), 61 * 1000);
+        assert.equal(nextWarmDelay([], opened), 60 * 1000);
+    });
+});
+
+describe('warm-up failures', () => {
+    it('count 4xx answers other than rate limits as permanent', () => {
+        const failure = (status) => Object.assign(new Error('failed'), { response: { status } });
+
+        assert.equal(isPermanentFailure(failure(400)), true);
+        assert.equal(isPermanentFailure(failure(404)), true);
+        assert.equal(isPermanentFailure(failure(429)), false);
+        assert.equal(isPermanentFailure(failure(418)), false);
+        assert.equal(isPermanentFailure(failure(503)), false);
+        assert.equal(isPermanentFailure(new Error('timeout')), false);
+    });
+});
+
+describe('cache warming', () => {
+    let app;
+
+    before(async () => {
+        // The mock has no XRPUSDT candles, so the exchange rejects that series
+        app = await startApp({ CACHE_WARM_SYMBOLS: 'BTCUSDT, ETHUSDT, XRPUSDT', CACHE_WARM_INTERVALS: '1h,1d', CACHE_WARM_LIMIT: '50' });
+    });
+
+    after(async () => {
+        await app.stop();
+    });
+
+    it('fetches every configured series at startup', async () => {
+        await waitFor(() => upstreamCalls(app.mock).length >= 6);
+
+        const series = upstreamCalls(app.mock).map(call => `${call.query.symbol}-${call.query.interval}`).sort();
+        assert.deepEqual(series, ['BTCUSDT-1d', 'BTCUSDT-1h', 'ETHUSDT-1d', 'ETHUSDT-1h', 'XRPUSDT-1d', 'XRPUSDT-1h']);
+    });
+
+    it('stops warming a series the exchange rejects', async () => {
+        const entry = await app.waitForLog(log => log.msg === 'Cache warm-up rejected by the exchange, no longer warming the series');
+
+        assert.equal(entry.symbol, 'XRPUSDT');
+        assert.equal(entry.status, 400);
+    });
+
+    it('answers warmed series from the cache', async () => {
+        await waitFor(() => upstreamCalls(app.mock).length >= 6);
+        const before = upstreamCalls(app.mock).length;
+
+        const response = await app.request('/api/v1/candles?symbol=ETHUSDT&interval=1d&limit=50');
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('x-cache'), 'HIT');
+        assert.equal((await response.json()).length, 50);
+        assert.equal(upstreamCalls(app.mock).length, before);
+    });
+});
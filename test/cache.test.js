@@ -0,0 +1,149 @@
+// Integration tests for cache HIT/MISS behaviour and the cache admin routes
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, upstreamCalls } = require('./helpers');
+
+const SERIES = 'binance:BTCUSDT-1h';
+
+describe('price cache', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        await app.stop();
+    });
+
+    it('answers a repeated request from the cache', async () => {
+        const first = await app.request('/api/btc-price?symbol=BTCUSDT&interval=1h&limit=48');
+        assert.equal(first.status, 200);
+        assert.equal(first.headers.get('x-cache'), 'MISS');
+        const calls = upstreamCalls(app.mock).length;
+        assert.ok(calls >= 1);
+
+        const second = await app.request('/api/btc-price?symbol=BTCUSDT&interval=1h&limit=48');
+        assert.equal(second.headers.get('x-cache'), 'HIT');
+        assert.deepEqual(await second.json(), await first.json());
+        assert.equal(upstreamCalls(app.mock).length, calls);
+    });
+
+    it('serves smaller windows of a stored series without going upstream', async () => {
+        const calls = upstreamCalls(app.mock).length;
+
+        const response = await app.request('/api/v1/candles?symbol=BTCUSDT&interval=1h&limit=12');
+        assert.equal(response.headers.get('x-cache'), 'HIT');
+        assert.equal((await response.json()).length, 12);
+        assert.equal(upstreamCalls(app.mock).length, calls);
+    });
+
+    it('loads the exchange info once for symbol validation', async () => {
+        await app.request('/api/btc-price?symbol=ETHUSDT&interval=1h&limit=5');
+        await app.request('/api/btc-price?symbol=DOGEUSDT&interval=1h&limit=5');
+
+        assert.equal(upstreamCalls(app.mock, '/api/v3/exchangeInfo').length, 1);
+    });
+
+    it('requires admin credentials for the cache routes', async () => {
+        const anonymous = await app.request('/api/cache/stats');
+        assert.equal(anonymous.status, 401);
+        assert.equal((await anonymous.json()).code, 'UNAUTHORIZED');
+
+        const wrongToken = await app.request('/api/cache/clear', { method: 'POST', headers: { Authorization: 'Bearer nope' } });
+        assert.equal(wrongToken.status, 401);
+    });
+
+    it('reports cached keys and stored series', async () => {
+        const response = await app.admin('/api/cache/stats');
+        assert.equal(response.status, 200);
+
+        const stats = await response.json();
+        assert.ok(stats.keys.includes(`open:${SERIES}`));
+        assert.ok(stats.keys.includes('symbols:binance'));
+        assert.equal(typeof stats.stats.hits, 'number');
+        assert.ok(stats.store);
+        assert.ok(stats.streams);
+    });
+
+    it('exports the stored candle counts as metrics, kept up to date', async () => {
+        const gauge = async (series) => {
+            const text = await (await app.request('/metrics')).text();
+            const match = new RegExp(`^candle_store_candles\\{series="${series}"\\} (\\d+)$`, 'm').exec(text);
+            return match ? Number(match[1]) : null;
+        };
+
+        const stats = await (await app.admin('/api/cache/stats')).json();
+        const stored = stats.store.find(each => each.series === SERIES);
+        assert.equal(await gauge(SERIES), stored.candles);
+
+        // A longer window stores older candles
+        await app.request('/api/btc-price?symbol=BTCUSDT&interval=1h&limit=200');
+        assert.ok(await gauge(SERIES) > stored.candles);
+    });
+
+    it('goes upstream again after a series is cleared', async () => {
+        const cleared = await app.admin(`/api/cache/clear?series=${SERIES}`, { method: 'POST' });
+        assert.equal(cleared.status, 200);
+        const body = await cleared.json();
+        assert.equal(body.success, true);
+        assert.deepEqual(body.series, [SERIES]);
+
+        const calls = upstreamCalls(app.mock).length;
+        const response = await app.request('/api/btc-price?symbol=BTCUSDT&interval=1h&limit=48');
+        assert.equal(response.headers.get('x-cache'), 'MISS');
+        assert.ok(upstreamCalls(app.mock).length > calls);
+
+        // Other series stay cached
+        const other = await app.request('/api/btc-price?symbol=ETHUSDT&interval=1h&limit=5');
+        assert.equal(other.headers.get('x-cache'), 'HIT');
+    });
+
+    it('clears series matching a pattern', async () => {
+        const response = await app.admin('/api/cache/clear?pattern=binance:*USDT-1h', { method: 'POST' });
+        const body = await response.json();
+
+        assert.deepEqual(body.series.sort(), ['binance:BTCUSDT-1h', 'binance:DOGEUSDT-1h', 'binance:ETHUSDT-1h']);
+        assert.ok(body.cacheKeys >= 3);
+
+        const after = await app.request('/api/btc-price?symbol=ETHUSDT&interval=1h&limit=5');
+        assert.equal(after.headers.get('x-cache'), 'MISS');
+    });
+
+    it('rejects malformed series names', async () => {
+        const response = await app.admin('/api/cache/clear?series=BTCUSDT', { method: 'POST' });
+
+        assert.equal(response.status, 400);
+        assert.equal((await response.json()).code, 'INVALID_SERIES');
+    });
+
+    it('clears everything without a selector', async () => {
+        const response = await app.admin('/api/cache/clear', { method: 'POST' });
+        assert.equal(response.status, 200);
+
+        const stats = await (await app.admin('/api/cache/stats')).json();
+        assert.deepEqual(stats.keys, []);
+
+        const after = await app.request('/api/btc-price?symbol=BTCUSDT&interval=1h&limit=48');
+        assert.equal(after.headers.get('x-cache'), 'MISS');
+    });
+});
+
+describe('cache admin routes without credentials', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp({ ADMIN_TOKEN: '' });
+    });
+
+    after(async () => {
+        await app.stop();
+    });
+
+    it('stay locked', async () => {
+        const response = await app.admin('/api/cache/stats');
+
+        assert.equal(response.status, 403);
+        assert.equal((await response.json()).code, 'ADMIN_DISABLED');
+    });
+});
@@ -0,0 +1,92 @@
+// Tests for the persistent candle store and the candle service's use of it
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NodeCache = require('node-cache');
+const ExchangeAdapter = require('../lib/exchanges/base');
+const CandleStore = require('../lib/candle-store');
+const CandleService = require('../lib/candle-service');
+const { MAX_HISTORY_CANDLES } = require('../lib/backfill');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Generates 1m candles on demand and counts the pages asked for
+class GeneratedExchange extends ExchangeAdapter {
+    get id() {
+        return 'generated';
+    }
+
+    get intervals() {
+        return { '1m': '1m' };
+    }
+
+    async fetchCandles(symbol, interval, { limit, endTime }) {
+        this.calls = (this.calls || 0) + 1;
+
+        const last = Math.floor(Math.min(endTime === undefined ? Date.now() : endTime, Date.now()) / MINUTE) * MINUTE;
+        return Array.from({ length: limit }, (_, i) => {
+            const timestamp = last - (limit - 1 - i) * MINUTE;
+            return { timestamp, date: new Date(timestamp).toISOString(), open: 1, high: 1, low: 1, close: 1, volume: 1, closeTime: timestamp + MINUTE - 1, quoteVolume: null, trades: null };
+        });
+    }
+}
+
+describe('candle service', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'candle-service-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('leaves the part of a range cut off by the candle cap uncovered', async () => {
+        const exchange = new GeneratedExchange();
+        const service = new CandleService({ store: new CandleStore(dir), cache: new NodeCache() });
+        const startTime = Math.floor((Date.now() - 60 * DAY) / MINUTE) * MINUTE;
+
+        const { candles } = await service.getCandles(exchange, 'BTCUSDT', '1m', { limit: 100, startTime });
+        assert.equal(candles.length, MAX_HISTORY_CANDLES);
+        assert.equal(exchange.calls, MAX_HISTORY_CANDLES / exchange.maxLimit);
+
+        // The oldest day was never fetched, so it is not served from the store as empty
+        const firstDay = await service.getCandles(exchange, 'BTCUSDT', '1m',
+            { limit: 100, startTime, endTime: startTime + DAY - 1 });
+        assert.equal(firstDay.cacheHit, false);
+        assert.equal(firstDay.candles.length, DAY / MINUTE);
+        assert.equal(firstDay.candles[0].timestamp, startTime);
+    });
+});
+
+describe('candle store', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'candle-store-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('drops the least recently used series from memory and reads them back from disk', () => {
+        const store = new CandleStore(dir, { maxLoadedCandles: 10 });
+        const candles = Array.from({ length: 6 }, (_, i) => ({ timestamp: i * MINUTE, closeTime: (i + 1) * MINUTE - 1 }));
+        const btc = { exchange: 'binance', symbol: 'BTCUSDT', interval: '1m' };
+        const eth = { exchange: 'binance', symbol: 'ETHUSDT', interval: '1m' };
+
+        store.addCandles(btc, candles, 0, 6 * MINUTE - 1);
+        store.addCandles(eth, candles, 0, 6 * MINUTE - 1);
+        assert.deepEqual([...store.loaded.keys()], ['binance:ETHUSDT-1m']);
+
+        assert.equal(store.getCandles(btc, 0, DAY).length, 6);
+        assert.deepEqual(store.getMissingRanges(btc, 0, 6 * MINUTE - 1), []);
+        assert.deepEqual([...store.loaded.keys()], ['binance:BTCUSDT-1m']);
+        assert.deepEqual(Object.fromEntries(store.countCandles()), { 'binance:BTCUSDT-1m': 6, 'binance:ETHUSDT-1m': 6 });
+    });
+});
@@ -0,0 +1,96 @@
+// Integration tests for mapping upstream failures to API errors and stale data
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, upstreamCalls } = require('./helpers');
+
+// One attempt plus the upstream client's retries
+const ATTEMPTS = 4;
+
+describe('upstream failures', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        await app.stop();
+    });
+
+    beforeEach(() => {
+        app.mock.reset();
+    });
+
+    it('retries a transient 5xx', async () => {
+        app.mock.enqueue({ status: 503 });
+
+        const response = await app.request('/api/btc-price?symbol=BTCUSDT&interval=1d&limit=10');
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).length, 10);
+        assert.equal(upstreamCalls(app.mock).length, 2);
+    });
+
+    it('maps a persistent 5xx to 502 without leaking upstream details', async () => {
+        app.mock.enqueue({ status: 500, body: { code: -1000, msg: 'Internal upstream detail' }, times: ATTEMPTS });
+
+        const response = await app.request('/api/btc-price?symbol=ETHUSDT&interval=1d&limit=10');
+        assert.equal(response.status, 502);
+        assert.deepEqual(await response.json(), {
+            code: 'UPSTREAM_ERROR',
+            message: 'The exchange did not return valid data',
+            field: null
+        });
+        assert.equal(upstreamCalls(app.mock).length, ATTEMPTS);
+    });
+
+    it('does not retry other 4xx responses', async () => {
+        app.mock.enqueue({ status: 400, body: { code: -1121, msg: 'Invalid symbol.' } });
+
+        const response = await app.request('/api/btc-price?symbol=DOGEUSDT&interval=1d&limit=10');
+        assert.equal(response.status, 502);
+        assert.equal((await response.json()).code, 'UPSTREAM_ERROR');
+        assert.equal(upstreamCalls(app.mock).length, 1);
+    });
+
+    it('maps upstream timeouts to 502', async () => {
+        app.mock.enqueue({ delayMs: 2000, times: ATTEMPTS });
+
+        const response = await app.request('/api/btc-price?symbol=ETHUSDT&interval=1h&limit=10');
+        assert.equal(response.status, 502);
+        assert.equal((await response.json()).code, 'UPSTREAM_ERROR');
+        assert.equal(upstreamCalls(app.mock).length, ATTEMPTS);
+    });
+
+    it('serves stored candles flagged stale when upstream fails', async () => {
+        const fresh = await app.request('/api/btc-price?symbol=BTCUSDT&interval=1h&limit=24');
+        assert.equal(fresh.status, 200);
+        const prices = await fresh.json();
+
+        // Drop the cached open candle so the next request has to go upstream
+        await app.admin('/api/cache/clear?key=open:binance:BTCUSDT-1h', { method: 'POST' });
+        app.mock.enqueue({ status: 500, times: ATTEMPTS });
+
+        const response = await app.request('/api/btc-price?symbol=BTCUSDT&interval=1h&limit=24');
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('x-cache'), 'MISS');
+        assert.equal(response.headers.get('x-data-stale'), 'true');
+        assert.equal(response.headers.get('warning'), '110 - "Response is Stale"');
+        assert.deepEqual(await response.json(), prices);
+    });
+
+    // Last: the server then holds back upstream calls until Retry-After passes
+    it('maps upstream rate limiting to 429 with Retry-After', async () => {
+        app.mock.enqueue({ status: 429, headers: { 'Retry-After': '30' } });
+
+        const response = await app.request('/api/btc-price?symbol=BTCUSDT&interval=1w&limit=10');
+        assert.equal(response.status, 429);
+        assert.equal(response.headers.get('retry-after'), '30');
+        assert.equal((await response.json()).code, 'RATE_LIMITED');
+        assert.equal(upstreamCalls(app.mock).length, 1);
+
+        // Held back without calling upstream again
+        const held = await app.request('/api/btc-price?symbol=ETHUSDT&interval=1w&limit=10');
+        assert.equal(held.status, 429);
+        assert.equal(upstreamCalls(app.mock).length, 1);
+    });
+});
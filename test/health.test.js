@@ -0,0 +1,122 @@
+// Integration tests for the health probes and graceful shutdown
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, upstreamCalls } = require('./helpers');
+
+/**
+ * Wait for a child process to exit
+ * @param {import('child_process').ChildProcess} child - Child process
+ * @returns {Promise<number>} Exit code
+ */
+function exitOf(child) {
+    return child.exitCode !== null
+        ? Promise.resolve(child.exitCode)
+        : new Promise(resolve => child.once('exit', resolve));
+}
+
+describe('health probes', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        await app.stop();
+    });
+
+    it('reports liveness', async () => {
+        const response = await app.request('/healthz');
+
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).status, 'ok');
+    });
+
+    it('reports readiness with each check', async () => {
+        const response = await app.request('/readyz');
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('cache-control'), 'no-store');
+
+        const body = await response.json();
+        assert.equal(body.status, 'ready');
+        assert.equal(body.checks.upstream.ok, true);
+        assert.equal(body.checks.upstream.exchange, 'binance');
+        assert.equal(body.checks.store.ok, true);
+        assert.equal(body.checks.cache.ok, true);
+    });
+
+    it('reuses a recent upstream check', async () => {
+        await app.request('/readyz');
+        await app.request('/readyz');
+
+        assert.equal(upstreamCalls(app.mock, '/api/v3/ping').length, 1);
+    });
+});
+
+describe('readiness failures', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp({ CANDLE_STORE_DIR: '/dev/null/candles' });
+    });
+
+    after(async () => {
+        await app.stop();
+    });
+
+    it('answers 503 when the exchange and the store fail', async () => {
+        app.mock.enqueue({ path: '/api/v3/ping', status: 500, times: 4 });
+
+        const response = await app.request('/readyz');
+        assert.equal(response.status, 503);
+
+        const body = await response.json();
+        assert.equal(body.status, 'not_ready');
+        assert.equal(body.checks.upstream.ok, false);
+        assert.equal(typeof body.checks.upstream.error, 'string');
+        assert.equal(body.checks.store.ok, false);
+
+        // Liveness does not depend on either
+        assert.equal((await app.request('/healthz')).status, 200);
+    });
+});
+
+describe('graceful shutdown', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        await app.stop();
+    });
+
+    it('finishes in-flight requests and closes live streams on SIGTERM', async () => {
+        const stream = await app.request('/api/v1/stream?exchange=local&symbol=BTCUSDT&interval=1h');
+        assert.equal(stream.status, 200);
+        const reader = stream.body.getReader();
+
+        // Held up upstream, so it is still running when the signal arrives
+        app.mock.enqueue({ delayMs: 300 });
+        const slow = app.request('/api/btc-price?symbol=BTCUSDT&interval=1h&limit=24');
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        const exited = exitOf(app.child);
+        app.child.kill('SIGTERM');
+
+        const response = await slow;
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('connection'), 'close');
+        assert.equal((await response.json()).length, 24);
+
+        // The stream ends instead of being cut off
+        let done = false;
+        while (!done) {
+            ({ done } = await reader.read());
+        }
+
+        assert.equal(await exited, 0);
+        assert.match(app.output(), /SIGTERM received/);
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * Integration test helpers
+ * Each suite runs the real server (main.js) in a child process, pointed at
+ * its own mock Binance and temporary data directories.
+ */
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createMockBinance } = require('../scripts/mock-binance');
+
+const MAIN = path.join(__dirname, '..', 'main.js');
+
+// Token the suites use for the admin routes
+const ADMIN_TOKEN = 'test-admin-token';
+
+// Time the server gets to start listening
+const START_TIMEOUT_MS = 10000;
+
+// Time a log entry gets to arrive from the server process
+const LOG_TIMEOUT_MS = 2000;
+
+/**
+ * Find a free TCP port
+ * @returns {Promise<number>} Port
+ */
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.unref();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Parse the JSON log lines of the server output
+ * @param {string} output - Server stdout and stderr
+ * @returns {Object[]} Log entries
+ */
+function parseLogs(output) {
+    return output.split('\n').filter(line => line.startsWith('{') && line.endsWith('}')).map(line => JSON.parse(line));
+}
+
+/**
+ * Start a mock Binance and the server in front of it
+ * @param {Object<string, string>} [env] - Extra environment variables for the server
+ * @returns {Promise<{mock: Object, child: import('child_process').ChildProcess, baseUrl: string, request: function(string, Object=): Promise<Response>,
+ *          admin: function(string, Object=): Promise<Response>, output: function(): string,
+ *          waitForLog: function(function(Object): boolean): Promise<Object>, stop: function(): Promise<void>}>}
+ *          Running app with a fetch helper, an authenticated fetch helper, the server output so far
+ *          and a helper waiting for a JSON log entry matching a predicate
+ */
+async function startApp(env = {}) {
+    const mock = createMockBinance();
+    const mockUrl = await mock.listen();
+    const port = await freePort();
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chart-test-'));
+
+    const child = spawn(process.execPath, [MAIN], {
+        env: {
+            ...process.env,
+            PORT: String(port),
+            BINANCE_API_URL: mockUrl,
+            UPSTREAM_TIMEOUT_MS: '500',
+            CANDLE_STORE_DIR: path.join(dataDir, 'candles'),
+            ALERTS_DIR: path.join(dataDir, 'alerts'),
+            ADMIN_AUDIT_LOG: path.join(dataDir, 'audit.log'),
+            ADMIN_TOKEN,
+            // Off unless a suite asks for it, so upstream calls are only the suite's own
+            CACHE_WARM_SYMBOLS: '',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+
+    const baseUrl = `http://127.0.0.1:${port}`;
+
+    // Wait for the liveness probe, which does not depend on the log level
+    const deadline = Date.now() + START_TIMEOUT_MS;
+    for (;;) {
+        if (child.exitCode !== null) {
+            await mock.close();
+            throw new Error(`Server exited with ${child.exitCode}:\n${output}`);
+        }
+
+        const live = await fetch(`${baseUrl}/healthz`).then(response => response.ok, () => false);
+        if (live) break;
+
+        if (Date.now() > deadline) {
+            child.kill('SIGKILL');
+            await mock.close();
+            throw new Error(`Server did not start:\n${output}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    const request = (url, options = {}) => fetch(`${baseUrl}${url}`, options);
+
+    return {
+        mock,
+        child,
+        baseUrl,
+        request,
+        admin: (url, options = {}) => request(url, {
+            ...options,
+            headers: { Authorization: `Bearer ${ADMIN_TOKEN}`, ...options.headers }
+        }),
+        output: () => output,
+        waitForLog: async (predicate) => {
+            const deadline = Date.now() + LOG_TIMEOUT_MS;
+            for (;;) {
+                const entry = parseLogs(output).find(predicate);
+                if (entry) return entry;
+                if (Date.now() > deadline) throw new Error(`No matching log entry in:\n${output}`);
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+        },
+        stop: async () => {
+            if (child.exitCode === null) {
+                const exited = new Promise(resolve => child.once('exit', resolve));
+                child.kill();
+                await exited;
+            }
+            await mock.close();
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * Upstream requests the mock received for an endpoint
+ * @param {Object} mock - Mock Binance
+ * @param {string} [endpoint="/api/v3/klines"] - Endpoint path
+ * @returns {Object[]} Requests
+ */
+function upstreamCalls(mock, endpoint = '/api/v3/klines') {
+    return mock.requests.filter(request => request.path === endpoint);
+}
+
+module.exports = {
+    ADMIN_TOKEN,
+    parseLogs,
+    startApp,
+    upstreamCalls
+};
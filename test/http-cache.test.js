@@ -0,0 +1,140 @@
+// Integration tests for ETags, Cache-Control and compression of API responses
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const zlib = require('zlib');
+const { startApp } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * GET a URL without decoding the body, unlike fetch()
+ * @param {string} url - URL
+ * @param {Object<string, string>} headers - Request headers
+ * @returns {Promise<{status: number, headers: Object, body: Buffer}>} Raw response
+ */
+function rawGet(url, headers) {
+    return new Promise((resolve, reject) => {
+        http.get(url, { headers }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+        }).on('error', reject);
+    });
+}
+
+/**
+ * Read the max-age of a Cache-Control header
+ * @param {string} header - Header value
+ * @returns {number|null} Seconds, or null if there is none
+ */
+function maxAge(header) {
+    const match = /max-age=(\d+)/.exec(header || '');
+    return match ? parseInt(match[1], 10) : null;
+}
+
+describe('HTTP caching', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        await app.stop();
+    });
+
+    it('lets responses be reused for a share of the interval, until the open candle closes', async () => {
+        for (const [interval, intervalMs, longest] of [['1h', HOUR, 300], ['1d', DAY, 3600]]) {
+            const response = await app.request(`/api/btc-price?symbol=BTCUSDT&interval=${interval}&limit=24`);
+            const untilClose = Math.ceil((Math.floor(Date.now() / intervalMs) * intervalMs + intervalMs - Date.now()) / 1000);
+
+            const cacheControl = response.headers.get('cache-control');
+            assert.match(cacheControl, /^public, max-age=\d+$/);
+            assert.ok(maxAge(cacheControl) >= Math.min(untilClose, longest) - 2, `${interval}: ${cacheControl}`);
+            assert.ok(maxAge(cacheControl) <= Math.min(untilClose + 1, longest), `${interval}: ${cacheControl}`);
+        }
+    });
+
+    it('lets finished time ranges be reused for a day', async () => {
+        const endTime = Math.floor(Date.now() / HOUR) * HOUR - 10 * HOUR;
+        const response = await app.request(`/api/v1/candles?symbol=ETHUSDT&interval=1h&startTime=${endTime - 24 * HOUR}&endTime=${endTime}`);
+
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('cache-control'), 'public, max-age=86400');
+    });
+
+    // Raw requests: fetch() adds Cache-Control: no-cache to conditional requests
+    it('answers a matching If-None-Match with 304', async () => {
+        const url = `${app.baseUrl}/api/btc-price?symbol=BTCUSDT&interval=1h&limit=48`;
+        const first = await rawGet(url, {});
+        const tag = first.headers.etag;
+        assert.match(tag, /^W\/".+"$/);
+
+        const revalidated = await rawGet(url, { 'If-None-Match': tag });
+        assert.equal(revalidated.status, 304);
+        assert.equal(revalidated.headers.etag, tag);
+        assert.equal(revalidated.body.length, 0);
+
+        const changed = await rawGet(url.replace('limit=48', 'limit=47'), { 'If-None-Match': tag });
+        assert.equal(changed.status, 200);
+        assert.notEqual(changed.headers.etag, tag);
+    });
+
+    it('does not cache or tag errors', async () => {
+        const response = await app.request('/api/btc-price?symbol=FOOUSDT');
+
+        assert.equal(response.status, 404);
+        assert.equal(response.headers.get('etag'), null);
+        assert.equal(response.headers.get('cache-control'), null);
+    });
+
+    it('revalidates stale data every time', async () => {
+        await app.request('/api/btc-price?symbol=DOGEUSDT&interval=1h&limit=24');
+        await app.admin('/api/cache/clear?key=open:binance:DOGEUSDT-1h', { method: 'POST' });
+        app.mock.enqueue({ status: 500, times: 4 });
+
+        const response = await app.request('/api/btc-price?symbol=DOGEUSDT&interval=1h&limit=24');
+        assert.equal(response.headers.get('x-data-stale'), 'true');
+        assert.equal(response.headers.get('cache-control'), 'no-cache');
+    });
+
+    it('compresses large responses with brotli or gzip', async () => {
+        const url = `${app.baseUrl}/api/v1/candles?symbol=BTCUSDT&interval=1h&limit=400`;
+        const plain = await rawGet(url, {});
+        assert.equal(plain.headers['content-encoding'], undefined);
+        assert.match(plain.headers.vary, /Accept-Encoding/);
+
+        const brotli = await rawGet(url, { 'Accept-Encoding': 'gzip, br' });
+        assert.equal(brotli.headers['content-encoding'], 'br');
+        assert.ok(brotli.body.length < plain.body.length / 3);
+        assert.deepEqual(zlib.brotliDecompressSync(brotli.body), plain.body);
+
+        const gzip = await rawGet(url, { 'Accept-Encoding': 'gzip' });
+        assert.equal(gzip.headers['content-encoding'], 'gzip');
+        assert.deepEqual(zlib.gunzipSync(gzip.body), plain.body);
+
+        // Same ETag whatever the encoding
+        assert.equal(brotli.headers.etag, plain.headers.etag);
+        assert.equal(gzip.headers.etag, plain.headers.etag);
+    });
+
+    it('leaves small responses and live streams uncompressed', async () => {
+        const small = await rawGet(`${app.baseUrl}/api/btc-price?symbol=BTCUSDT&interval=1h&limit=2`, { 'Accept-Encoding': 'gzip' });
+        assert.equal(small.headers['content-encoding'], undefined);
+
+        const stream = await new Promise((resolve, reject) => {
+            const request = http.get(`${app.baseUrl}/api/v1/stream?exchange=local&symbol=BTCUSDT&interval=1h`,
+                { headers: { 'Accept-Encoding': 'gzip' } }, (res) => {
+                    res.once('data', (chunk) => {
+                        request.destroy();
+                        resolve({ headers: res.headers, chunk: chunk.toString() });
+                    });
+                });
+            request.on('error', reject);
+        });
+        assert.equal(stream.headers['content-encoding'], undefined);
+        assert.match(stream.chunk, /^event: candle/);
+    });
+});
@@ -0,0 +1,58 @@
+// Integration tests for the indicator routes
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('GET /api/indicators', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        await app.stop();
+    });
+
+    it('computes from earlier history, so the requested candles have no warm-up gap', async () => {
+        const response = await app.request('/api/indicators?indicator=ema&period=50&symbol=BTCUSDT&interval=1h&limit=100');
+        assert.equal(response.status, 200);
+        const { values } = await response.json();
+
+        const candles = await (await app.request('/api/v1/candles?symbol=BTCUSDT&interval=1h&limit=100')).json();
+        assert.deepEqual(values.map(point => point.timestamp), candles.map(candle => candle.timestamp));
+        assert.ok(values.every(point => typeof point.value === 'number'));
+    });
+
+    it('starts a time range at its start time', async () => {
+        const startTime = Math.floor(Date.now() / HOUR) * HOUR - 48 * HOUR;
+        const response = await app.request(`/api/indicators?indicator=macd&symbol=ETHUSDT&interval=1h&startTime=${startTime}`);
+        const { values } = await response.json();
+
+        assert.equal(values.length, 49);
+        assert.equal(values[0].timestamp, startTime);
+        assert.ok(values.every(point => point.macd !== null && point.signal !== null));
+    });
+
+    it('rejects ranges whose warm-up would pass the candle cap', async () => {
+        for (const [query, field] of [
+            ['limit=50000', 'limit'],
+            [`interval=1m&startTime=${Date.now() - 49990 * 60 * 1000}`, 'startTime']
+        ]) {
+            const response = await app.request(`/api/indicators?indicator=ema&period=50&symbol=BTCUSDT&${query}`);
+            assert.equal(response.status, 400, query);
+
+            const body = await response.json();
+            assert.equal(body.code, 'RANGE_TOO_LARGE');
+            assert.equal(body.field, field);
+        }
+    });
+
+    it('lists the indicators and their parameters', async () => {
+        const list = await (await app.request('/api/indicators/list')).json();
+
+        assert.ok(list.some(entry => entry.id === 'rsi' && entry.params.period.default === 14));
+    });
+});
@@ -0,0 +1,35 @@
+// Tests for the local fixture exchange
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const LocalAdapter = require('../lib/exchanges/local');
+
+describe('local exchange', () => {
+    const exchange = new LocalAdapter();
+
+    it('lists only the intervals its fixtures can produce', () => {
+        assert.deepEqual(Object.keys(exchange.intervals), ['1h', '2h', '4h', '6h', '8h', '12h', '1d', '3d', '1w', '1M']);
+    });
+
+    it('starts weeks on Monday and months on the first of the month', async () => {
+        const weeks = await exchange.fetchCandles('BTCUSDT', '1w', { limit: 3 });
+        assert.equal(weeks.length, 3);
+        for (const week of weeks) {
+            assert.equal(new Date(week.timestamp).getUTCDay(), 1);
+            assert.equal(week.closeTime + 1 - week.timestamp, 7 * 24 * 60 * 60 * 1000);
+        }
+
+        const months = await exchange.fetchCandles('BTCUSDT', '1M', { limit: 3 });
+        assert.equal(months.length, 3);
+        for (const month of months) {
+            const next = new Date(month.closeTime + 1);
+            assert.equal(new Date(month.timestamp).getUTCDate(), 1);
+            assert.equal(next.getUTCDate(), 1);
+            assert.equal((next.getUTCMonth() - new Date(month.timestamp).getUTCMonth() + 12) % 12, 1);
+        }
+    });
+
+    it('answers 404 for symbols without a fixture', async () => {
+        await assert.rejects(exchange.fetchCandles('XRPUSDT', '1h', { limit: 3 }),
+            { status: 404, code: 'SYMBOL_NOT_FOUND', field: 'symbol' });
+    });
+});
@@ -0,0 +1,115 @@
+// Integration tests for structured request logs and correlation IDs
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, parseLogs } = require('./helpers');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+describe('request logs', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp({ LOG_LEVEL: 'debug' });
+    });
+
+    after(async () => {
+        await app.stop();
+    });
+
+    it('logs each request with its correlation ID, cache result and upstream calls', async () => {
+        const response = await app.request('/api/btc-price?symbol=BTCUSDT&interval=1h&limit=24');
+        const requestId = response.headers.get('x-request-id');
+        assert.match(requestId, UUID_PATTERN);
+
+        const entry = await app.waitForLog(log => log.msg === 'request' && log.requestId === requestId);
+        assert.equal(entry.level, 'info');
+        assert.equal(entry.method, 'GET');
+        assert.equal(entry.route, '/api/btc-price');
+        assert.deepEqual(entry.query, { symbol: 'BTCUSDT', interval: '1h', limit: '24' });
+        assert.equal(entry.status, 200);
+        assert.equal(entry.cache, 'MISS');
+        assert.equal(typeof entry.durationMs, 'number');
+        assert.ok(entry.upstream.calls >= 1);
+        assert.equal(entry.upstream.failed, 0);
+
+        // Upstream calls carry the request's ID
+        const call = await app.waitForLog(log => log.msg === 'Upstream request' && log.requestId === requestId);
+        assert.equal(call.level, 'debug');
+        assert.equal(call.exchange, 'Binance');
+        assert.equal(call.status, 200);
+    });
+
+    it('keeps a valid incoming X-Request-Id', async () => {
+        const response = await app.request('/api/btc-price?symbol=BTCUSDT&interval=1h&limit=24', {
+            headers: { 'X-Request-Id': 'chart-42' }
+        });
+        assert.equal(response.headers.get('x-request-id'), 'chart-42');
+
+        const entry = await app.waitForLog(log => log.msg === 'request' && log.requestId === 'chart-42');
+        assert.equal(entry.cache, 'HIT');
+        assert.equal(entry.upstream, undefined);
+    });
+
+    it('replaces a malformed incoming X-Request-Id', async () => {
+        const response = await app.request('/api/exchanges', { headers: { 'X-Request-Id': 'bad id\twith spaces' } });
+
+        assert.match(response.headers.get('x-request-id'), UUID_PATTERN);
+    });
+
+    it('ties an upstream failure to the request that hit it', async () => {
+        app.mock.enqueue({ status: 500, times: 4 });
+
+        const response = await app.request('/api/btc-price?symbol=ETHUSDT&interval=1d&limit=10', {
+            headers: { 'X-Request-Id': 'broken-chart' }
+        });
+        assert.equal(response.status, 502);
+        assert.equal(response.headers.get('x-request-id'), 'broken-chart');
+
+        const entry = await app.waitForLog(log => log.msg === 'request' && log.requestId === 'broken-chart');
+        assert.equal(entry.status, 502);
+        assert.equal(entry.error, 'UPSTREAM_ERROR');
+        assert.deepEqual({ calls: entry.upstream.calls, failed: entry.upstream.failed }, { calls: 4, failed: 4 });
+
+        const logs = parseLogs(app.output()).filter(log => log.requestId === 'broken-chart');
+        const failures = logs.filter(log => log.msg === 'Upstream request failed');
+        assert.equal(failures.length, 4);
+        assert.ok(failures.every(log => log.level === 'warn' && log.status === 500 && log.endpoint === '/api/v3/klines'));
+
+        const failed = logs.find(log => log.msg === 'Request failed');
+        assert.equal(failed.level, 'error');
+        assert.equal(failed.code, 'UPSTREAM_ERROR');
+        assert.equal(failed.upstreamStatus, 500);
+    });
+
+    it('logs probes at debug level', async () => {
+        const response = await app.request('/healthz');
+        const requestId = response.headers.get('x-request-id');
+
+        const entry = await app.waitForLog(log => log.msg === 'request' && log.requestId === requestId);
+        assert.equal(entry.level, 'debug');
+    });
+});
+
+describe('log levels', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp({ LOG_LEVEL: 'warn' });
+    });
+
+    after(async () => {
+        await app.stop();
+    });
+
+    it('drops entries below LOG_LEVEL', async () => {
+        const ok = await app.request('/api/btc-price?symbol=BTCUSDT&interval=1h&limit=24');
+        app.mock.enqueue({ status: 400 });
+        const failed = await app.request('/api/btc-price?symbol=ETHUSDT&interval=1h&limit=24');
+        assert.equal(failed.status, 502);
+
+        await app.waitForLog(log => log.msg === 'Request failed' && log.requestId === failed.headers.get('x-request-id'));
+        const logs = parseLogs(app.output());
+        assert.ok(logs.every(log => log.level === 'warn' || log.level === 'error'));
+        assert.ok(!logs.some(log => log.requestId === ok.headers.get('x-request-id')));
+    });
+});
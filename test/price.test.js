@@ -0,0 +1,181 @@
+// Integration tests for the price routes against the recorded Binance klines
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, upstreamCalls } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('GET /api/btc-price', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        await app.stop();
+    });
+
+    it('returns close prices up to the open candle', async () => {
+        const response = await app.request('/api/btc-price?symbol=BTCUSDT&interval=1h&limit=24');
+        assert.equal(response.status, 200);
+
+        const prices = await response.json();
+        assert.equal(prices.length, 24);
+        assert.deepEqual(Object.keys(prices[0]), ['timestamp', 'date', 'price']);
+        assert.equal(typeof prices[0].price, 'number');
+        assert.equal(prices[0].date, new Date(prices[0].timestamp).toISOString());
+
+        for (let i = 1; i < prices.length; i++) {
+            assert.equal(prices[i].timestamp - prices[i - 1].timestamp, HOUR);
+        }
+        assert.equal(prices[prices.length - 1].timestamp, Math.floor(Date.now() / HOUR) * HOUR);
+    });
+
+    it('defaults to 168 daily BTCUSDT candles', async () => {
+        const prices = await (await app.request('/api/btc-price')).json();
+
+        assert.equal(prices.length, 168);
+        assert.equal(prices[1].timestamp - prices[0].timestamp, 24 * HOUR);
+    });
+
+    it('serves the same candles as /api/v1/candles', async () => {
+        const [prices, candles] = await Promise.all([
+            app.request('/api/btc-price?symbol=ETHUSDT&interval=1h&limit=10').then(response => response.json()),
+            app.request('/api/v1/candles?symbol=ETHUSDT&interval=1h&limit=10').then(response => response.json())
+        ]);
+
+        assert.deepEqual(prices.map(point => point.price), candles.map(candle => candle.close));
+        assert.ok(candles.every(candle => candle.low <= candle.close && candle.close <= candle.high));
+    });
+
+    it('downloads CSV with format=csv', async () => {
+        const response = await app.request('/api/btc-price?symbol=BTCUSDT&interval=1h&limit=5&format=csv');
+
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/csv/);
+        assert.match(response.headers.get('content-disposition'), /^attachment; filename="BTCUSDT-1h-.+\.csv"$/);
+
+        const lines = (await response.text()).trim().split('\r\n');
+        assert.equal(lines[0], 'timestamp,date,price');
+        assert.equal(lines.length, 6);
+    });
+
+    it('rejects malformed parameters with 400', async () => {
+        for (const [query, field] of [['interval=7x', 'interval'], ['limit=0', 'limit'], ['symbol=btc-usdt', 'symbol']]) {
+            const response = await app.request(`/api/btc-price?${query}`);
+            assert.equal(response.status, 400, query);
+
+            const body = await response.json();
+            assert.equal(body.field, field);
+            assert.equal(typeof body.code, 'string');
+            assert.equal(typeof body.message, 'string');
+        }
+    });
+
+    it('rejects intervals the exchange cannot serve with 400', async () => {
+        const response = await app.request('/api/btc-price?exchange=local&interval=1m');
+        assert.equal(response.status, 400);
+
+        const body = await response.json();
+        assert.equal(body.code, 'INVALID_INTERVAL');
+        assert.equal(body.field, 'interval');
+    });
+
+    it('rejects repeated parameters with 400', async () => {
+        for (const [query, field] of [
+            ['symbol=BTCUSDT&symbol=ETHUSDT', 'symbol'],
+            ['interval=1h&interval=1d', 'interval'],
+            ['exchange=binance&exchange=bybit', 'exchange'],
+            ['limit=10&limit=20', 'limit']
+        ]) {
+            const response = await app.request(`/api/btc-price?${query}`);
+            assert.equal(response.status, 400, query);
+
+            const body = await response.json();
+            assert.equal(body.code, 'INVALID_PARAMETER');
+            assert.equal(body.field, field);
+        }
+    });
+
+    it('pages a time range backward from its end, asking only for the candles it holds', async () => {
+        const startTime = Math.floor(Date.now() / HOUR) * HOUR - 100 * HOUR;
+        const response = await app.request(`/api/btc-price?symbol=DOGEUSDT&interval=1h&startTime=${startTime}`);
+        assert.equal(response.status, 200);
+
+        const prices = await response.json();
+        assert.equal(prices.length, 101);
+        assert.equal(prices[0].timestamp, startTime);
+
+        const calls = upstreamCalls(app.mock).filter(call => call.query.symbol === 'DOGEUSDT');
+        assert.equal(calls.length, 1);
+        assert.equal(calls[0].query.startTime, undefined);
+        assert.equal(calls[0].query.limit, '101');
+    });
+
+    it('rejects time ranges holding more candles than the cap', async () => {
+        const response = await app.request(`/api/btc-price?interval=1m&startTime=${Date.now() - 60 * 24 * HOUR}`);
+        assert.equal(response.status, 400);
+
+        const body = await response.json();
+        assert.equal(body.code, 'RANGE_TOO_LARGE');
+        assert.equal(body.field, 'startTime');
+    });
+
+    it('counts the source candles of custom intervals against the cap', async () => {
+        // 30000 10h candles, built from 150000 2h candles
+        const response = await app.request(`/api/btc-price?interval=10h&startTime=${Date.now() - 30000 * 10 * HOUR}`);
+        assert.equal(response.status, 400);
+
+        const body = await response.json();
+        assert.equal(body.code, 'RANGE_TOO_LARGE');
+        assert.equal(body.field, 'startTime');
+    });
+
+    it('answers 404 for symbols missing from the exchange info', async () => {
+        const response = await app.request('/api/btc-price?symbol=FOOUSDT');
+
+        assert.equal(response.status, 404);
+        assert.deepEqual(await response.json(), {
+            code: 'SYMBOL_NOT_FOUND',
+            message: 'Symbol FOOUSDT is not listed on Binance',
+            field: 'symbol'
+        });
+    });
+});
+
+describe('GET /api/v1/batch', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        await app.stop();
+    });
+
+    it('returns each requested series', async () => {
+        const response = await app.request('/api/v1/batch?symbols=BTCUSDT,ETHUSDT:1d&intervals=1h&limit=5');
+        assert.equal(response.status, 200);
+
+        const series = await response.json();
+        assert.deepEqual(series.map(({ symbol, interval }) => `${symbol}-${interval}`), ['BTCUSDT-1h', 'ETHUSDT-1d']);
+        assert.equal(series[0].candles.length, 5);
+    });
+
+    it('rejects repeated list parameters with 400', async () => {
+        for (const [query, field] of [
+            ['symbols=BTCUSDT&symbols=ETHUSDT', 'symbols'],
+            ['symbols=BTCUSDT&intervals=1h&intervals=1d', 'intervals'],
+            ['symbols=BTCUSDT&interval=1h&interval=1d', 'interval']
+        ]) {
+            const response = await app.request(`/api/v1/batch?${query}`);
+            assert.equal(response.status, 400, query);
+
+            const body = await response.json();
+            assert.equal(body.code, 'INVALID_PARAMETER');
+            assert.equal(body.field, field);
+        }
+    });
+});
@@ -0,0 +1,25 @@
+// Integration tests for the chart snapshot route
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+describe('GET /api/snapshot.png', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        await app.stop();
+    });
+
+    it('renders a PNG of the series', async () => {
+        const response = await app.request('/api/snapshot.png?symbol=BTCUSDT&interval=1h&limit=24&width=300');
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('content-type'), 'image/png');
+
+        const png = Buffer.from(await response.arrayBuffer());
+        assert.equal(png.subarray(1, 4).toString(), 'PNG');
+    });
+});
@@ -0,0 +1,67 @@
+// Tests for the shared upstream stream fan-out
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CandleStreamHub = require('../lib/stream-hub');
+
+/**
+ * Exchange adapter double whose streams are pushed by hand
+ * @returns {{id: string, opened: number, closed: number, push: function(Object): void, subscribeCandles: Function}} Adapter
+ */
+function createFakeExchange() {
+    const exchange = {
+        id: 'fake',
+        opened: 0,
+        closed: 0,
+        callbacks: new Set(),
+        push: (candle) => exchange.callbacks.forEach(callback => callback(candle)),
+        subscribeCandles: (symbol, interval, callback) => {
+            exchange.opened++;
+            exchange.callbacks.add(callback);
+            return () => {
+                exchange.closed++;
+                exchange.callbacks.delete(callback);
+            };
+        }
+    };
+    return exchange;
+}
+
+describe('stream hub', () => {
+    it('keeps fanning out when a listener throws', () => {
+        const hub = new CandleStreamHub();
+        const exchange = createFakeExchange();
+        const received = [];
+
+        hub.subscribe(exchange, 'BTCUSDT', '1h', () => { throw new Error('broken listener'); });
+        hub.subscribe(exchange, 'BTCUSDT', '1h', candle => received.push(candle));
+        exchange.push({ close: 1 });
+        exchange.push({ close: 2 });
+
+        assert.deepEqual(received, [{ close: 1 }, { close: 2 }]);
+    });
+
+    it('ignores repeated unsubscribes instead of closing a newer stream', () => {
+        const hub = new CandleStreamHub();
+        const exchange = createFakeExchange();
+
+        const unsubscribe = hub.subscribe(exchange, 'BTCUSDT', '1h', () => {});
+        unsubscribe();
+        hub.subscribe(exchange, 'BTCUSDT', '1h', () => {});
+        unsubscribe();
+
+        assert.equal(exchange.opened, 2);
+        assert.equal(exchange.closed, 1);
+        assert.deepEqual(hub.getStats(), [{ key: 'fake:BTCUSDT-1h', listeners: 1 }]);
+    });
+
+    it('does not close a stream twice after closeAll', () => {
+        const hub = new CandleStreamHub();
+        const exchange = createFakeExchange();
+
+        const unsubscribe = hub.subscribe(exchange, 'BTCUSDT', '1h', () => {});
+        hub.closeAll();
+        unsubscribe();
+
+        assert.equal(exchange.closed, 1);
+    });
+});
@@ -0,0 +1,39 @@
+// Integration tests for the symbol list route
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+describe('GET /api/symbols', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        await app.stop();
+    });
+
+    it('filters by quote asset and search term', async () => {
+        const response = await app.request('/api/symbols?quote=usdt&q=eth');
+        assert.equal(response.status, 200);
+
+        const symbols = await response.json();
+        assert.ok(symbols.length > 0);
+        for (const info of symbols) {
+            assert.equal(info.quoteAsset, 'USDT');
+            assert.ok(info.symbol.includes('ETH'));
+        }
+    });
+
+    it('rejects repeated filters with 400', async () => {
+        for (const [query, field] of [['quote=USDT&quote=BTC', 'quote'], ['q=ETH&q=BTC', 'q']]) {
+            const response = await app.request(`/api/symbols?${query}`);
+            assert.equal(response.status, 400, query);
+
+            const body = await response.json();
+            assert.equal(body.code, 'INVALID_PARAMETER');
+            assert.equal(body.field, field);
+        }
+    });
+});
@@ -0,0 +1,48 @@
+// Tests for synthetic (expression) symbols
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseExpression, combineSeries } = require('../lib/synthetic');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Hourly candle with the same price throughout
+ * @param {number} hour - Hours after the epoch
+ * @param {number} price - Price
+ * @returns {import('../lib/candles').Candle} Candle
+ */
+function candle(hour, price) {
+    return {
+        timestamp: hour * HOUR,
+        date: new Date(hour * HOUR).toISOString(),
+        open: price,
+        high: price,
+        low: price,
+        close: price,
+        volume: 1,
+        closeTime: (hour + 1) * HOUR - 1,
+        quoteVolume: null,
+        trades: null
+    };
+}
+
+describe('synthetic symbols', () => {
+    it('reject a constant zero divisor', () => {
+        for (const text of ['BTCUSDT/0', 'BTCUSDT/(1-1)', 'ETHUSDT/-0.0*2']) {
+            assert.throws(() => parseExpression(text), { status: 400, code: 'INVALID_SYMBOL', field: 'symbol' }, text);
+        }
+        assert.equal(parseExpression('BTCUSDT/(1-0.5)').text, 'BTCUSDT/(1-0.5)');
+    });
+
+    it('count the candles dropped when a divisor reaches zero', () => {
+        const expression = parseExpression('BTCUSDT/(ETHUSDT-SOLUSDT)');
+        const { candles, dropped } = combineSeries(expression, {
+            BTCUSDT: [candle(0, 100), candle(1, 100), candle(2, 100)],
+            ETHUSDT: [candle(0, 30), candle(1, 20), candle(2, 30)],
+            SOLUSDT: [candle(0, 10), candle(1, 20), candle(2, 20)]
+        });
+
+        assert.deepEqual(candles.map(each => each.close), [5, 10]);
+        assert.equal(dropped, 1);
+    });
+});